@@ -0,0 +1,266 @@
+// Shared asset loader with caching, request dedup, concurrency limits and retries
+class AssetLoader {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 6;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelay = options.retryDelay || 300;
+
+        this.cache = new Map();
+        this.pending = new Map();
+        this.queue = [];
+        this.active = 0;
+        this.inFlight = new Map();
+        this.progressListeners = new Set();
+
+        this.expected = 0;
+        this.stats = {
+            requested: 0,
+            completed: 0,
+            failed: 0,
+            cacheHits: 0,
+            bytesLoaded: 0
+        };
+    }
+
+    // Lets the progress ratio start from a known total before requests are queued
+    expect(count) {
+        this.expected = Math.max(0, count);
+        this.notifyProgress();
+    }
+
+    async loadImage(path) {
+        return this.load('image', path, async () => {
+            const blob = await this.fetchWithProgress(path, 'blob');
+            const src = blob ? URL.createObjectURL(blob) : path;
+            const img = await this.loadImageElement(src);
+
+            // A loaded image keeps its object URL so CSS can reuse the bytes through getURL();
+            // a failed decode releases it before the retry creates another
+            if (!img) {
+                if (blob) URL.revokeObjectURL(src);
+                throw new Error('image decode failed');
+            }
+            return img;
+        });
+    }
+
+    async loadImages(paths) {
+        return Promise.all(paths.map(async path => {
+            const img = await this.loadImage(path);
+            return { path, img, status: img ? 'success' : 'error' };
+        }));
+    }
+
+    async loadAudio(path, audioContext) {
+        return this.load('audio', path, async () => {
+            const buffer = await this.fetchWithProgress(path, 'arrayBuffer');
+            if (!buffer) throw new Error('audio fetch unavailable');
+            return audioContext.decodeAudioData(buffer);
+        });
+    }
+
+    async loadJSON(path) {
+        return this.load('json', path, async () => {
+            const buffer = await this.fetchWithProgress(path, 'arrayBuffer');
+            if (!buffer) throw new Error('json fetch unavailable');
+            return JSON.parse(new TextDecoder().decode(buffer));
+        });
+    }
+
+    load(type, path, loaderFn) {
+        const key = `${type}:${path}`;
+
+        if (this.cache.has(key)) {
+            this.stats.cacheHits++;
+            return Promise.resolve(this.cache.get(key));
+        }
+
+        // Concurrent callers share one request
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        this.stats.requested++;
+        this.notifyProgress();
+
+        const promise = this.schedule(() => this.withRetries(loaderFn, path))
+            .then(result => {
+                this.cache.set(key, result);
+                this.stats.completed++;
+                return result;
+            })
+            .catch(error => {
+                LOGGER.warn('assets', `❌ Failed to load ${type}: ${path}`, error);
+                this.stats.failed++;
+                return null;
+            })
+            .finally(() => {
+                this.pending.delete(key);
+                this.inFlight.delete(path);
+                this.notifyProgress();
+            });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drainQueue();
+        });
+    }
+
+    drainQueue() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drainQueue();
+                });
+        }
+    }
+
+    async withRetries(loaderFn, path) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            try {
+                return await loaderFn();
+            } catch (error) {
+                lastError = error;
+                // 4xx responses will not change on retry
+                if (error.permanent) break;
+                if (attempt < this.retries) {
+                    LOGGER.warn('assets', `🔁 Retrying ${path} (${attempt + 1}/${this.retries})`);
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt)));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Streams the body so byte progress is reported; returns null when fetch cannot reach the file
+    async fetchWithProgress(path, as) {
+        let response;
+        try {
+            response = await fetch(path);
+        } catch (error) {
+            // file:// pages cannot fetch, callers fall back to element loading
+            return null;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.permanent = response.status >= 400 && response.status < 500;
+            throw error;
+        }
+
+        const total = parseInt(response.headers.get('content-length'), 10) || 0;
+        const entry = { loaded: 0, total };
+        this.inFlight.set(path, entry);
+
+        if (!response.body || !response.body.getReader) {
+            const data = as === 'blob' ? await response.blob() : await response.arrayBuffer();
+            this.addBytes(entry, as === 'blob' ? data.size : data.byteLength);
+            return data;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            this.addBytes(entry, value.length);
+        }
+
+        const blob = new Blob(chunks, { type: response.headers.get('content-type') || '' });
+        return as === 'blob' ? blob : blob.arrayBuffer();
+    }
+
+    addBytes(entry, count) {
+        entry.loaded += count;
+        this.stats.bytesLoaded += count;
+        this.notifyProgress();
+    }
+
+    loadImageElement(src) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = src;
+        });
+    }
+
+    getCached(type, path) {
+        return this.cache.get(`${type}:${path}`) || null;
+    }
+
+    // For CSS backgrounds: the loaded image's URL, so the browser neither refetches nor decodes it twice
+    getURL(path) {
+        const img = this.getCached('image', path);
+        return img ? img.src : path;
+    }
+
+    getProgress() {
+        const total = Math.max(this.expected, this.stats.requested);
+        const settled = this.stats.completed + this.stats.failed;
+
+        // Requests still streaming count for the fraction of bytes they have received
+        let partial = 0;
+        let bytesTotal = 0;
+        this.inFlight.forEach(entry => {
+            if (entry.total > 0) {
+                partial += Math.min(entry.loaded / entry.total, 1);
+            }
+            bytesTotal += entry.total;
+        });
+
+        return {
+            total,
+            completed: this.stats.completed,
+            failed: this.stats.failed,
+            pending: this.pending.size,
+            bytesLoaded: this.stats.bytesLoaded,
+            bytesInFlight: bytesTotal,
+            ratio: total > 0 ? Math.min((settled + partial) / total, 1) : 0
+        };
+    }
+
+    onProgress(callback) {
+        this.progressListeners.add(callback);
+        return () => this.progressListeners.delete(callback);
+    }
+
+    notifyProgress() {
+        if (this.progressListeners.size === 0) return;
+
+        const progress = this.getProgress();
+        this.progressListeners.forEach(callback => {
+            try {
+                callback(progress);
+            } catch (error) {
+                LOGGER.error('assets', '❌ Asset progress listener error:', error);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cached: this.cache.size,
+            pending: this.pending.size,
+            queued: this.queue.length
+        };
+    }
+}
+
+window.ASSET_LOADER = new AssetLoader();
+LOGGER.info('assets', '✅ Asset loader ready');
@@ -0,0 +1,224 @@
+// Asset manifest - every file the facility loads is resolved through here
+class AssetManifest {
+    constructor() {
+        this.report = null;
+
+        // Frame counts must match the folders in assets/character/
+        this.spriteFrames = {
+            idle: 4,
+            crouch: 5,
+            'backflip-east': 10,
+            'backflip-west': 10
+        };
+
+        this.cursorFiles = {
+            default: 'default.png',
+            hover: 'hover-interactive.png',
+            click: 'click.png',
+            special: 'special.png'
+        };
+
+        // formats: encodings on disk as <name>.<format>, best first; the first one the browser plays wins
+        // load: 'critical' decodes in parallel during init, 'lazy' loads in the background afterwards,
+        //       'stream' is never decoded up front and plays through an <audio> element as it downloads
+        this.soundFiles = {
+            'ambient-hangar': { formats: ['ogg', 'mp3'], load: 'stream' },
+            'sfx-scanner': { formats: ['ogg', 'wav'], load: 'critical' },
+            'sfx-click': { formats: ['ogg', 'wav'], load: 'critical' },
+            'sfx-glitch': { formats: ['ogg', 'wav'], load: 'lazy' },
+            'sfx-backflip': { formats: ['ogg', 'wav'], load: 'critical' }
+        };
+
+        this.audioMimeTypes = {
+            ogg: 'audio/ogg; codecs="vorbis"',
+            opus: 'audio/ogg; codecs="opus"',
+            mp3: 'audio/mpeg',
+            m4a: 'audio/mp4; codecs="mp4a.40.2"',
+            wav: 'audio/wav; codecs="1"'
+        };
+        this.audioSupport = null;
+    }
+
+    // Paths are read from CONFIG on every call so config.json overrides apply
+    getSpriteBase(animation) {
+        const paths = CONFIG.PATHS.CHARACTER;
+        switch (animation) {
+            case 'idle': return paths.IDLE;
+            case 'crouch': return paths.CROUCH;
+            case 'backflip-east': return paths.BACKFLIP.EAST;
+            case 'backflip-west': return paths.BACKFLIP.WEST;
+            default: return null;
+        }
+    }
+
+    getSpriteAnimations() {
+        return Object.keys(this.spriteFrames);
+    }
+
+    getSpriteFrames(animation) {
+        const base = this.getSpriteBase(animation);
+        const count = this.spriteFrames[animation] || 0;
+        if (!base) return [];
+
+        return Array.from({ length: count }, (_, i) => `${base}frame_${i}.png`);
+    }
+
+    getBackgrounds() {
+        return { ...CONFIG.PATHS.BACKGROUND };
+    }
+
+    getBackground(key) {
+        return CONFIG.PATHS.BACKGROUND[key] || null;
+    }
+
+    getCursor(state) {
+        const file = this.cursorFiles[state];
+        return file ? CONFIG.PATHS.CURSOR + file : null;
+    }
+
+    getSounds() {
+        const sounds = {};
+        Object.keys(this.soundFiles).forEach(name => {
+            sounds[name] = this.getSound(name);
+        });
+        return sounds;
+    }
+
+    getSound(name) {
+        const entry = this.soundFiles[name];
+        return entry ? `${CONFIG.PATHS.AUDIO}${name}.${this.pickAudioFormat(entry.formats)}` : null;
+    }
+
+    isStreamed(name) {
+        const entry = this.soundFiles[name];
+        return !!entry && entry.load === 'stream';
+    }
+
+    getSoundEntries() {
+        return Object.entries(this.soundFiles).map(([name, entry]) => ({
+            name,
+            path: this.getSound(name),
+            load: entry.load
+        }));
+    }
+
+    // Without canPlayType support, the last listed format is the safest bet
+    pickAudioFormat(formats) {
+        return formats.find(format => this.canPlayAudio(format)) || formats[formats.length - 1];
+    }
+
+    canPlayAudio(format) {
+        if (!this.audioSupport) {
+            this.audioSupport = {};
+            let probe = null;
+            try {
+                probe = document.createElement('audio');
+            } catch (error) {
+                // No DOM audio, every lookup falls through to the last format
+            }
+            Object.entries(this.audioMimeTypes).forEach(([name, mime]) => {
+                this.audioSupport[name] = !!(probe && probe.canPlayType && probe.canPlayType(mime) !== '');
+            });
+        }
+        return !!this.audioSupport[format];
+    }
+
+    getEntries() {
+        const entries = [];
+
+        this.getSpriteAnimations().forEach(animation => {
+            this.getSpriteFrames(animation).forEach((path, frame) => {
+                entries.push({ id: `sprite:${animation}/${frame}`, type: 'image', path });
+            });
+        });
+
+        Object.entries(this.getBackgrounds()).forEach(([key, path]) => {
+            entries.push({ id: `background:${key}`, type: 'image', path });
+        });
+
+        Object.keys(this.cursorFiles).forEach(state => {
+            entries.push({ id: `cursor:${state}`, type: 'image', path: this.getCursor(state) });
+        });
+
+        this.getSoundEntries().forEach(({ name, path, load }) => {
+            entries.push({ id: `sound:${name}`, type: 'audio', path, load });
+        });
+
+        return entries;
+    }
+
+    async verify() {
+        const entries = this.getEntries();
+        LOGGER.info('assets', `🔍 Verifying ${entries.length} manifest assets...`);
+
+        const results = await Promise.all(entries.map(entry => this.checkEntry(entry)));
+
+        this.report = {
+            checked: entries.length,
+            ok: results.filter(result => result.status === 'ok').length,
+            missing: results.filter(result => result.status === 'missing'),
+            mismatched: results.filter(result => result.status === 'mismatched')
+        };
+
+        if (this.hasProblems()) {
+            LOGGER.warn('assets', `⚠️ Asset integrity check found problems:\n${this.formatReport()}`);
+        } else {
+            LOGGER.info('assets', `✅ All ${this.report.checked} manifest assets present`);
+        }
+
+        return this.report;
+    }
+
+    async checkEntry(entry) {
+        const expectedType = entry.type === 'image' ? 'image/' : 'audio/';
+
+        try {
+            const response = await fetch(entry.path, { method: 'HEAD' });
+            if (!response.ok) {
+                return { ...entry, status: 'missing', reason: `HTTP ${response.status}` };
+            }
+
+            // Servers that rewrite unknown paths to index.html answer 200 with the wrong type
+            const contentType = response.headers.get('content-type');
+            if (contentType && !contentType.startsWith(expectedType)) {
+                return { ...entry, status: 'mismatched', reason: `served as ${contentType}` };
+            }
+
+            return { ...entry, status: 'ok' };
+        } catch (error) {
+            // HEAD requests are unavailable on file://, fall back to decoding images
+            if (entry.type === 'image') {
+                return this.probeImage(entry);
+            }
+            return { ...entry, status: 'missing', reason: error.message };
+        }
+    }
+
+    async probeImage(entry) {
+        // Goes through the shared loader so systems reuse the decoded image
+        const img = await ASSET_LOADER.loadImage(entry.path);
+        return img ?
+            { ...entry, status: 'ok' } :
+            { ...entry, status: 'missing', reason: 'image failed to load' };
+    }
+
+    hasProblems() {
+        return !!this.report && (this.report.missing.length + this.report.mismatched.length) > 0;
+    }
+
+    formatReport() {
+        if (!this.report) return 'Assets: integrity check not run';
+
+        const lines = [`Assets: ${this.report.ok}/${this.report.checked} OK`];
+        this.report.missing.forEach(entry => {
+            lines.push(`  • missing ${entry.path} (${entry.id}, ${entry.reason})`);
+        });
+        this.report.mismatched.forEach(entry => {
+            lines.push(`  • mismatched ${entry.path} (${entry.id}, ${entry.reason})`);
+        });
+        return lines.join('\n');
+    }
+}
+
+window.ASSET_MANIFEST = new AssetManifest();
+LOGGER.info('assets', '✅ Asset manifest loaded');
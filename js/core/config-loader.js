@@ -0,0 +1,223 @@
+// Runtime configuration loading with schema validation
+const CONFIG_SCHEMA = {
+    PIXEL_SCALE: { type: 'number', min: 1, max: 8, integer: true },
+    PIXEL_FIT: { type: 'string', values: ['integer', 'fill', 'stretch', 'manual'] },
+    BASE_RESOLUTION: {
+        type: 'object',
+        properties: {
+            width: { type: 'number', min: 1, max: 1024, integer: true },
+            height: { type: 'number', min: 1, max: 1024, integer: true }
+        }
+    },
+    ANIMATION_TIMING: {
+        type: 'object',
+        properties: {
+            IDLE_BREATHING: { type: 'number', min: 100, max: 10000 },
+            CROUCHING: { type: 'number', min: 50, max: 5000 },
+            BACKFLIP: { type: 'number', min: 100, max: 5000 },
+            STATE_TRANSITION: { type: 'number', min: 0, max: 2000 },
+            CURSOR_TRANSITION: { type: 'number', min: 0, max: 2000 }
+        }
+    },
+    PERFORMANCE: {
+        type: 'object',
+        properties: {
+            MOBILE_FPS: { type: 'number', min: 10, max: 144, integer: true },
+            DESKTOP_FPS: { type: 'number', min: 10, max: 240, integer: true },
+            MOBILE_THRESHOLD: { type: 'number', min: 0, max: 4096, integer: true },
+            FRAME_SKIP_THRESHOLD: { type: 'number', min: 1, max: 100 },
+            MAX_PARALLAX_LAYERS: { type: 'number', min: 1, max: 7, integer: true }
+        }
+    },
+    CRT: {
+        type: 'object',
+        properties: {
+            SCANLINES: { type: 'number', min: 0, max: 1 },
+            CURVATURE: { type: 'number', min: 0, max: 1 },
+            CHROMATIC_ABERRATION: { type: 'number', min: 0, max: 1 },
+            BLOOM: { type: 'number', min: 0, max: 1 },
+            NOISE: { type: 'number', min: 0, max: 1 },
+            GLITCH: { type: 'number', min: 0, max: 1 }
+        }
+    },
+    COLORS: {
+        type: 'object',
+        properties: {
+            ANOMALY_PURPLE: { type: 'color' },
+            ENERGY_CYAN: { type: 'color' },
+            RETRO_BLUE: { type: 'color' },
+            GLITCH_GREEN: { type: 'color' },
+            WARNING_ORANGE: { type: 'color' },
+            DEEP_SPACE: { type: 'color' },
+            SIGNAL_BLUE: { type: 'color' },
+            PLASMA_PINK: { type: 'color' },
+            SPARK_YELLOW: { type: 'color' },
+            ALERT_RED: { type: 'color' }
+        }
+    },
+    PATHS: {
+        type: 'object',
+        properties: {
+            CHARACTER: {
+                type: 'object',
+                properties: {
+                    IDLE: { type: 'string' },
+                    CROUCH: { type: 'string' },
+                    BACKFLIP: {
+                        type: 'object',
+                        properties: {
+                            EAST: { type: 'string' },
+                            WEST: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            CURSOR: { type: 'string' },
+            AUDIO: { type: 'string' },
+            BACKGROUND: {
+                type: 'object',
+                properties: {
+                    STARS: { type: 'string' },
+                    STARS_DENSE: { type: 'string' },
+                    SPACE: { type: 'string' },
+                    ASTEROID_1: { type: 'string' },
+                    ASTEROID_2: { type: 'string' },
+                    PLANET_BIG: { type: 'string' },
+                    PLANET_SMALL: { type: 'string' }
+                }
+            }
+        }
+    },
+    GAME: {
+        type: 'object',
+        properties: {
+            PARALLAX_INTENSITY: { type: 'number', min: 0, max: 100 },
+            MOUSE_SENSITIVITY: { type: 'number', min: 0.1, max: 5 },
+            AUDIO_VOLUME: { type: 'number', min: 0, max: 1 },
+            AMBIENT_AUDIO_DELAY: { type: 'number', min: 0, max: 60000 }
+        }
+    }
+};
+
+class ConfigLoader {
+    constructor(schema = CONFIG_SCHEMA) {
+        this.schema = schema;
+        this.report = this.createReport(null);
+    }
+
+    createReport(source) {
+        return {
+            source,
+            loaded: false,
+            applied: [],
+            unknown: [],
+            invalid: []
+        };
+    }
+
+    async load(path = 'config.json') {
+        LOGGER.info('config', `⚙️ Loading configuration overrides from ${path}...`);
+        this.report = this.createReport(path);
+
+        const data = await Utils.loadJSON(path);
+        if (!Utils.isPlainObject(data)) {
+            LOGGER.warn('config', '⚠️ No usable config file found, keeping built-in defaults');
+            return this.report;
+        }
+
+        this.report.loaded = true;
+        const overrides = this.validate(data, this.schema, '');
+        Utils.deepMerge(CONFIG, overrides);
+
+        this.logReport();
+        return this.report;
+    }
+
+    // Returns a copy of data containing only keys that passed the schema
+    validate(data, properties, prefix) {
+        const accepted = {};
+
+        Object.keys(data).forEach(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const rule = properties[key];
+            const value = data[key];
+
+            if (!rule) {
+                this.report.unknown.push(path);
+                return;
+            }
+
+            if (rule.type === 'object') {
+                if (!Utils.isPlainObject(value)) {
+                    this.report.invalid.push({ path, value, reason: 'expected an object' });
+                    return;
+                }
+                const nested = this.validate(value, rule.properties, path);
+                if (Object.keys(nested).length > 0) {
+                    accepted[key] = nested;
+                }
+                return;
+            }
+
+            const reason = this.checkValue(value, rule);
+            if (reason) {
+                this.report.invalid.push({ path, value, reason });
+                return;
+            }
+
+            accepted[key] = value;
+            this.report.applied.push(path);
+        });
+
+        return accepted;
+    }
+
+    checkValue(value, rule) {
+        switch (rule.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a number';
+                if (rule.integer && !Number.isInteger(value)) return 'expected an integer';
+                if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+                if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+                return null;
+            case 'string':
+                if (typeof value !== 'string' || value.length === 0) return 'expected a non-empty string';
+                if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'expected a boolean';
+            case 'color':
+                return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ?
+                    null : 'expected a hex color like #00FFFF';
+            default:
+                return `unsupported schema type "${rule.type}"`;
+        }
+    }
+
+    formatReport() {
+        const report = this.report;
+        if (!report.loaded) {
+            return `Config: ${report.source || 'no file'} not loaded, using built-in defaults`;
+        }
+
+        const lines = [`Config: ${report.source} (${report.applied.length} keys applied)`];
+        report.unknown.forEach(path => lines.push(`  • unknown key: ${path}`));
+        report.invalid.forEach(entry => {
+            lines.push(`  • invalid ${entry.path} = ${JSON.stringify(entry.value)} (${entry.reason})`);
+        });
+        return lines.join('\n');
+    }
+
+    logReport() {
+        const problems = this.report.unknown.length + this.report.invalid.length;
+        if (problems === 0) {
+            LOGGER.info('config', `✅ Config applied: ${this.report.applied.length} keys from ${this.report.source}`);
+            return;
+        }
+        LOGGER.warn('config', `⚠️ Config has ${problems} problem(s), offending keys were ignored:\n${this.formatReport()}`);
+    }
+}
+
+window.CONFIG_SCHEMA = CONFIG_SCHEMA;
+window.CONFIG_LOADER = new ConfigLoader();
+LOGGER.info('config', '✅ Config loader ready');
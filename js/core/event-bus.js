@@ -0,0 +1,109 @@
+// Internal publish/subscribe bus so systems can react to each other without global references
+const EVENT_TYPES = {
+    // Pointer input, coordinates in client pixels (COORDINATE_MAPPER converts them to game space)
+    'pointer:move': ['x', 'y'],
+    'pointer:down': ['x', 'y', 'source'],
+    'pointer:hover': ['target'],
+    'pointer:tap': ['x', 'y'],
+    'pointer:gesture': ['direction', 'x', 'y'], // game space
+
+    // Character animation lifecycle
+    'character:animation-start': ['animation', 'direction'],
+    'character:animation-end': ['animation', 'direction'],
+
+    // Animation controller state machine
+    'state:transition': ['from', 'to', 'transition'],
+
+    // Game loop timing
+    'loop:paused': ['reason'],
+    'loop:resumed': ['reason'],
+    'loop:time-scale': ['timeScale'],
+    'loop:system-disabled': ['name', 'phase', 'error'],
+    'loop:system-enabled': ['name'],
+
+    // Display
+    'theme:changed': ['name', 'colors'],
+    'display:scale-changed': ['scale', 'scaleX', 'scaleY', 'fitMode', 'dpr', 'backend'],
+    'viewport:changed': ['backend', 'scaleX', 'scaleY', 'left', 'top', 'width', 'height', 'dpr']
+};
+
+class EventBus {
+    constructor(types = EVENT_TYPES) {
+        this.types = types;
+        this.listeners = new Map();
+        this.wildcardListeners = new Set();
+    }
+
+    on(event, handler) {
+        if (event === '*') {
+            this.wildcardListeners.add(handler);
+            return () => this.wildcardListeners.delete(handler);
+        }
+
+        this.assertKnown(event);
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    once(event, handler) {
+        const unsubscribe = this.on(event, (payload, name) => {
+            unsubscribe();
+            handler(payload, name);
+        });
+        return unsubscribe;
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(event, payload = {}) {
+        this.assertKnown(event);
+
+        const missing = this.types[event].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            LOGGER.warn('events', `⚠️ Event ${event} emitted without: ${missing.join(', ')}`);
+        }
+
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            // Copy so handlers can unsubscribe while we iterate
+            Array.from(handlers).forEach(handler => this.invoke(handler, payload, event));
+        }
+        this.wildcardListeners.forEach(handler => this.invoke(handler, payload, event));
+    }
+
+    invoke(handler, payload, event) {
+        try {
+            handler(payload, event);
+        } catch (error) {
+            LOGGER.error('events', `❌ Event handler error for ${event}:`, error);
+        }
+    }
+
+    assertKnown(event) {
+        if (!this.types[event]) {
+            throw new Error(`Unknown event type: ${event}`);
+        }
+    }
+
+    getListenerCount(event) {
+        const handlers = this.listeners.get(event);
+        return handlers ? handlers.size : 0;
+    }
+
+    clear() {
+        this.listeners.clear();
+        this.wildcardListeners.clear();
+    }
+}
+
+window.EVENT_TYPES = EVENT_TYPES;
+window.EVENT_BUS = new EventBus();
+LOGGER.info('events', '✅ Event bus ready');
@@ -0,0 +1,108 @@
+// String tables, locale detection and interpolation for user-facing text
+class I18n {
+    constructor() {
+        this.tables = new Map();
+        this.rtlLocales = new Set();
+        this.defaultLocale = 'en';
+        this.locale = this.defaultLocale;
+        this.fallbackChain = [this.defaultLocale];
+    }
+
+    register(locale, strings, options = {}) {
+        this.tables.set(locale, strings);
+        if (options.rtl) {
+            this.rtlLocales.add(locale);
+        }
+    }
+
+    init() {
+        this.setLocale(this.detectLocale());
+    }
+
+    // ?lang= wins, then the browser's preferred languages
+    detectLocale() {
+        const requested = [];
+
+        try {
+            const fromQuery = new URLSearchParams(window.location.search).get('lang');
+            if (fromQuery) requested.push(fromQuery);
+        } catch (error) {
+            // Malformed query strings fall through to navigator
+        }
+
+        if (navigator.languages) requested.push(...navigator.languages);
+        if (navigator.language) requested.push(navigator.language);
+
+        const match = requested.find(locale => {
+            const normalized = this.normalize(locale);
+            return this.tables.has(normalized) || this.tables.has(normalized.split('-')[0]);
+        });
+        return match ? this.normalize(match) : this.defaultLocale;
+    }
+
+    normalize(locale) {
+        return String(locale).trim().replace('_', '-').toLowerCase();
+    }
+
+    // 'fr-ca' -> ['fr-ca', 'fr', 'en'], keeping only locales we have tables for
+    buildChain(locale) {
+        const normalized = this.normalize(locale);
+        const candidates = [normalized, normalized.split('-')[0], this.defaultLocale];
+        return candidates.filter((candidate, index) =>
+            this.tables.has(candidate) && candidates.indexOf(candidate) === index);
+    }
+
+    setLocale(locale) {
+        this.fallbackChain = this.buildChain(locale);
+        this.locale = this.fallbackChain[0] || this.defaultLocale;
+
+        const root = document.documentElement;
+        root.lang = this.locale;
+        root.dir = this.isRTL() ? 'rtl' : 'ltr';
+
+        this.applyToDocument();
+        LOGGER.info('i18n', `🌐 Locale set to: ${this.locale} (fallbacks: ${this.fallbackChain.join(' → ')})`);
+    }
+
+    isRTL() {
+        return this.rtlLocales.has(this.locale) || this.rtlLocales.has(this.locale.split('-')[0]);
+    }
+
+    t(key, params = {}) {
+        for (const locale of this.fallbackChain) {
+            const table = this.tables.get(locale);
+            if (table && typeof table[key] === 'string') {
+                return this.interpolate(table[key], params);
+            }
+        }
+
+        LOGGER.warn('i18n', `⚠️ Missing string: ${key}`);
+        return key;
+    }
+
+    has(key) {
+        return this.fallbackChain.some(locale => {
+            const table = this.tables.get(locale);
+            return table && typeof table[key] === 'string';
+        });
+    }
+
+    interpolate(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    // Static markup opts in with data-i18n="key"
+    applyToDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+    }
+
+    getAvailableLocales() {
+        return Array.from(this.tables.keys());
+    }
+}
+
+window.I18N = new I18n();
+LOGGER.info('i18n', '✅ I18n loaded');
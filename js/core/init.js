@@ -1,432 +1,513 @@
-// Main initialization and system coordinator
-class GameInitializer {
-    constructor() {
-        this.systems = new Map();
-        this.isInitialized = false;
-        this.loadingProgress = 0;
-        this.totalSystems = 8;
-    }
-
-    async initialize() {
-        console.log('🚀 Starting Fethi\'s Anomaly Facility initialization...');
-        console.log('================================');
-        
-        try {
-            // Phase 1: Basic setup
-            this.updateLoadingProgress(10, 'Loading configuration...');
-            
-            // Wait a moment for scripts to load
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            // Phase 2: Initialize core systems first
-            this.updateLoadingProgress(20, 'Initializing core systems...');
-            await this.initializeCoreSystems();
-            
-            // Phase 3: Game systems
-            this.updateLoadingProgress(40, 'Loading game systems...');
-            await this.initializeGameSystems();
-            
-            // Phase 4: Interaction systems
-            this.updateLoadingProgress(70, 'Setting up interactions...');
-            await this.initializeInteractionSystems();
-            
-            // Phase 5: Final setup
-            this.updateLoadingProgress(90, 'Starting game world...');
-            await this.startGame();
-            
-            this.updateLoadingProgress(100, 'Ready!');
-            
-            this.isInitialized = true;
-            this.onInitializationComplete();
-            
-        } catch (error) {
-            console.error('💥 Initialization failed:', error);
-            this.handleInitializationError(error);
-        }
-    }
-
-    async initializeCoreSystems() {
-        console.log('⚙️ Initializing core systems...');
-        
-        // Initialize core systems in correct order
-        const coreSystems = [
-            { 
-                name: 'pixelScaling', 
-                instance: window.PIXEL_SCALER,
-                init: () => {
-                    if (window.PIXEL_SCALER && window.PIXEL_SCALER.init) {
-                        window.PIXEL_SCALER.init();
-                        return true;
-                    }
-                    return false;
-                }
-            },
-            { 
-                name: 'performance', 
-                instance: window.PERFORMANCE_DETECTOR,
-                init: () => true // Already initialized
-            },
-            { 
-                name: 'gameLoop', 
-                instance: window.GAME_LOOP,
-                init: () => true // Already initialized
-            }
-        ];
-        
-        for (const system of coreSystems) {
-            try {
-                if (system.instance) {
-                    if (system.init) {
-                        const success = system.init();
-                        if (success) {
-                            this.systems.set(system.name, system.instance);
-                            console.log(`✅ ${system.name} system ready`);
-                        } else {
-                            console.warn(`⚠️ ${system.name} system initialization failed`);
-                        }
-                    } else {
-                        this.systems.set(system.name, system.instance);
-                        console.log(`✅ ${system.name} system ready`);
-                    }
-                } else {
-                    console.warn(`⚠️ ${system.name} system not found`);
-                }
-            } catch (error) {
-                console.error(`❌ Error initializing ${system.name}:`, error);
-            }
-            
-            this.updateLoadingProgress(20 + (30 / coreSystems.length), `Initializing ${system.name}...`);
-        }
-    }
-
-    async initializeGameSystems() {
-        console.log('🎮 Initializing game systems...');
-        
-        const gameSystems = [
-            { 
-                name: 'audio', 
-                instance: window.AUDIO_SYSTEM, 
-                initMethod: 'init',
-                optional: false
-            },
-            { 
-                name: 'parallax', 
-                instance: window.PARALLAX_SYSTEM, 
-                initMethod: 'init',
-                optional: false
-            },
-            { 
-                name: 'cursor', 
-                instance: window.CURSOR_SYSTEM, 
-                initMethod: 'init',
-                optional: false
-            },
-            { 
-                name: 'character', 
-                instance: window.CHARACTER_SYSTEM, 
-                initMethod: 'init',
-                optional: false
-            }
-        ];
-        
-        for (const system of gameSystems) {
-            try {
-                if (system.instance && system.instance[system.initMethod]) {
-                    await system.instance[system.initMethod]();
-                    this.systems.set(system.name, system.instance);
-                    console.log(`✅ ${system.name} system ready`);
-                } else {
-                    const message = `⚠️ ${system.name} system or init method not found`;
-                    if (system.optional) {
-                        console.warn(message);
-                    } else {
-                        console.error(message);
-                    }
-                }
-            } catch (error) {
-                console.error(`❌ Failed to initialize ${system.name}:`, error);
-                // Continue with other systems even if one fails
-            }
-            
-            this.updateLoadingProgress(40 + (30 / gameSystems.length), `Loading ${system.name}...`);
-        }
-    }
-
-    async initializeInteractionSystems() {
-        console.log('🎯 Initializing interaction systems...');
-        
-        const interactionSystems = [
-            { 
-                name: 'hoverDetector', 
-                instance: window.HOVER_DETECTOR, 
-                initMethod: 'init',
-                optional: false
-            },
-            { 
-                name: 'animationController', 
-                instance: window.ANIMATION_CONTROLLER, 
-                initMethod: 'init',
-                optional: false
-            }
-        ];
-        
-        for (const system of interactionSystems) {
-            try {
-                if (system.instance && system.instance[system.initMethod]) {
-                    await system.instance[system.initMethod]();
-                    this.systems.set(system.name, system.instance);
-                    console.log(`✅ ${system.name} system ready`);
-                } else {
-                    const message = `⚠️ ${system.name} system or init method not found`;
-                    if (system.optional) {
-                        console.warn(message);
-                    } else {
-                        console.error(message);
-                    }
-                }
-            } catch (error) {
-                console.error(`❌ Failed to initialize ${system.name}:`, error);
-            }
-            
-            this.updateLoadingProgress(70 + (20 / interactionSystems.length), `Setting up ${system.name}...`);
-        }
-    }
-
-    async startGame() {
-        console.log('🎪 Starting game systems...');
-        
-        // Start the main game loop
-        if (window.GAME_LOOP && window.GAME_LOOP.start) {
-            window.GAME_LOOP.start();
-        }
-        
-        // Enable audio after user interaction
-        setTimeout(() => {
-            if (window.AUDIO_SYSTEM) {
-                window.AUDIO_SYSTEM.enableAudio();
-            }
-        }, 2000);
-        
-        console.log('✅ Game systems started');
-    }
-
-    updateLoadingProgress(percent, message = '') {
-        this.loadingProgress = percent;
-        
-        const loadingBar = document.getElementById('loading-progress-bar');
-        const loadingText = document.getElementById('loading-text');
-        const loadingDetails = document.getElementById('loading-details');
-        
-        if (loadingBar) {
-            loadingBar.style.width = percent + '%';
-        }
-        
-        if (loadingText) {
-            loadingText.textContent = `INITIALIZING ANOMALY FACILITY... ${Math.floor(percent)}%`;
-        }
-        
-        if (loadingDetails && message) {
-            loadingDetails.textContent = message;
-        }
-        
-        console.log(`📊 Loading: ${Math.floor(percent)}% ${message}`);
-    }
-
-    onInitializationComplete() {
-        console.log('🎉 Initialization complete!');
-        console.log('================================');
-        console.log('🌟 FETHI\'S ANOMALY FACILITY 🌟');
-        console.log('================================');
-        console.log('Systems initialized:', Array.from(this.systems.keys()));
-        console.log('================================');
-        
-        // Remove loading screen and start experience
-        setTimeout(() => {
-            this.removeLoadingScreen();
-            this.triggerWelcomeSequence();
-        }, 1000);
-    }
-
-    removeLoadingScreen() {
-        const loadingScreen = document.getElementById('loading-screen');
-        const gameContainer = document.getElementById('game-container');
-        
-        if (loadingScreen && gameContainer) {
-            // Add fade-out animation
-            loadingScreen.style.transition = 'opacity 0.8s ease';
-            loadingScreen.style.opacity = '0';
-            
-            setTimeout(() => {
-                loadingScreen.classList.remove('loading-active');
-                loadingScreen.classList.add('hidden');
-                
-                gameContainer.classList.remove('hidden');
-                gameContainer.style.display = 'block';
-                
-                console.log('🎮 Game container revealed');
-            }, 800);
-        } else {
-            console.error('❌ Could not find loading screen or game container');
-        }
-    }
-
-    triggerWelcomeSequence() {
-        console.log('👋 Starting welcome sequence...');
-        
-        // Play welcome backflip
-        if (window.CHARACTER_SYSTEM) {
-            setTimeout(() => {
-                window.CHARACTER_SYSTEM.playBackflip('east');
-            }, 500);
-        }
-        
-        // Start ambient audio
-        if (window.AUDIO_SYSTEM) {
-            window.AUDIO_SYSTEM.startAmbientAudio();
-        }
-        
-        // Welcome message
-        setTimeout(() => {
-            console.log('%c👋 Welcome to Fethi\'s Anomaly Facility!', 
-                'color: #00ffff; font-size: 18px; font-weight: bold; text-shadow: 0 0 10px #00ffff;');
-            console.log('%cMove your cursor to trigger backflips, click to crouch!', 
-                'color: #ff00ff; font-size: 14px;');
-        }, 1000);
-    }
-
-    handleInitializationError(error) {
-        console.error('💥 Critical initialization error:', error);
-        
-        const errorMessage = `
-Initialization Error: ${error.message}
-
-Systems Status:
-${Array.from(this.systems.entries()).map(([name, system]) => 
-    `• ${name}: ${system ? 'READY' : 'MISSING'}`).join('\n')}
-
-Loading Progress: ${this.loadingProgress}%
-
-Troubleshooting:
-1. Check browser console for 404 errors
-2. Verify all JavaScript files are loading
-3. Ensure pixel-scaling.js exists in js/engine/
-        `;
-        
-        this.showErrorMessage(errorMessage);
-    }
-
-    showErrorMessage(message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(255, 50, 50, 0.95);
-            color: white;
-            padding: 30px;
-            border-radius: 10px;
-            border: 2px solid #ff0000;
-            z-index: 10000;
-            font-family: 'Courier New', monospace;
-            text-align: center;
-            max-width: 500px;
-            box-shadow: 0 0 30px rgba(255, 0, 0, 0.7);
-            backdrop-filter: blur(10px);
-        `;
-        errorDiv.innerHTML = `
-            <h2 style="margin-bottom: 15px; color: #ffff00;">🚨 SYSTEM INITIALIZATION ERROR</h2>
-            <pre style="margin-bottom: 20px; text-align: left; white-space: pre-wrap; font-size: 12px; background: rgba(0,0,0,0.3); padding: 15px; border-radius: 5px;">${message}</pre>
-            <div style="margin-bottom: 15px; font-size: 14px;">
-                <strong>Quick checks:</strong><br>
-                • Check browser console (F12) for errors<br>
-                • Verify pixel-scaling.js exists<br>
-                • All JavaScript files loading correctly
-            </div>
-            <button onclick="location.reload()" style="
-                background: #00ffff;
-                color: #0a0a1a;
-                border: none;
-                padding: 12px 24px;
-                cursor: pointer;
-                font-family: 'Courier New', monospace;
-                font-weight: bold;
-                border-radius: 4px;
-                margin: 5px;
-            ">🔄 Refresh Page</button>
-            <button onclick="window.FETHI_FACILITY.debug()" style="
-                background: #ff00ff;
-                color: white;
-                border: none;
-                padding: 12px 24px;
-                cursor: pointer;
-                font-family: 'Courier New', monospace;
-                font-weight: bold;
-                border-radius: 4px;
-                margin: 5px;
-            ">🐛 Debug Info</button>
-        `;
-        
-        document.body.appendChild(errorDiv);
-    }
-
-    getStatus() {
-        return {
-            initialized: this.isInitialized,
-            progress: this.loadingProgress,
-            systems: Array.from(this.systems.keys()),
-            totalSystems: this.totalSystems
-        };
-    }
-
-    debug() {
-        console.log('🐛 Debug Information:');
-        console.log('=====================');
-        console.log('Initialization Status:', this.getStatus());
-        console.log('Available Systems:');
-        console.log('  CONFIG:', !!window.CONFIG);
-        console.log('  Utils:', !!window.Utils);
-        console.log('  PIXEL_SCALER:', !!window.PIXEL_SCALER);
-        console.log('  PERFORMANCE_DETECTOR:', !!window.PERFORMANCE_DETECTOR);
-        console.log('  GAME_LOOP:', !!window.GAME_LOOP);
-        console.log('  AUDIO_SYSTEM:', !!window.AUDIO_SYSTEM);
-        console.log('  PARALLAX_SYSTEM:', !!window.PARALLAX_SYSTEM);
-        console.log('  CURSOR_SYSTEM:', !!window.CURSOR_SYSTEM);
-        console.log('  CHARACTER_SYSTEM:', !!window.CHARACTER_SYSTEM);
-        console.log('  HOVER_DETECTOR:', !!window.HOVER_DETECTOR);
-        console.log('  ANIMATION_CONTROLLER:', !!window.ANIMATION_CONTROLLER);
-        console.log('=====================');
-    }
-}
-
-// Create the game instance
-const GAME = new GameInitializer();
-
-// Global debugging and control interface
-window.FETHI_FACILITY = {
-    game: GAME,
-    config: window.CONFIG,
-    systems: {
-        audio: window.AUDIO_SYSTEM,
-        character: window.CHARACTER_SYSTEM,
-        cursor: window.CURSOR_SYSTEM,
-        parallax: window.PARALLAX_SYSTEM,
-        animation: window.ANIMATION_CONTROLLER
-    },
-    debug: () => GAME.debug(),
-    getStatus: () => GAME.getStatus(),
-    restart: () => location.reload()
-};
-
-console.log('🔧 Fethi\'s Anomaly Facility - Debug interface available at window.FETHI_FACILITY');
-
-// Auto-start when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        console.log('📄 DOM loaded, starting game initialization...');
-        setTimeout(() => GAME.initialize(), 100);
-    });
-} else {
-    console.log('⚡ DOM already loaded, starting game initialization...');
-    setTimeout(() => GAME.initialize(), 100);
-}
+// Main initialization and system coordinator
+class GameInitializer {
+    constructor() {
+        this.systems = new Map();
+        this.isInitialized = false;
+        this.loadingProgress = 0;
+        this.loadingPhase = '';
+        this.assetProgress = null;
+        this.unsubscribeAssetProgress = null;
+        this.totalSystems = window.SYSTEM_REGISTRY ? window.SYSTEM_REGISTRY.size : 0;
+        this.settledSystems = 0;
+        this.configReport = null;
+        this.assetReport = null;
+    }
+
+    async initialize() {
+        LOGGER.info('init', '🚀 Starting Fethi\'s Anomaly Facility initialization...');
+        
+        this.trackAssetProgress();
+        
+        try {
+            // Phase 1: Basic setup
+            this.setLoadingPhase(I18N.t('loading.phase.config'));
+            
+            // Wait a moment for scripts to load
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            // Designer overrides from config.json must land before any system starts
+            await this.loadConfiguration();
+            
+            this.setLoadingPhase(I18N.t('loading.phase.assets'));
+            await this.verifyAssets();
+            
+            // Phase 2: Registered systems, in dependency order
+            this.setLoadingPhase(I18N.t('loading.phase.systems'));
+            await this.initializeSystems();
+            
+            // Phase 3: Final setup
+            this.setLoadingPhase(I18N.t('loading.phase.world'));
+            await this.startGame();
+            
+            this.stopAssetTracking();
+            this.updateLoadingProgress(100, I18N.t('loading.ready'));
+            
+            this.isInitialized = true;
+            this.onInitializationComplete();
+            
+        } catch (error) {
+            LOGGER.error('init', '💥 Initialization failed:', error);
+            this.handleInitializationError(error);
+        }
+    }
+
+    async loadConfiguration() {
+        if (!window.CONFIG_LOADER) {
+            LOGGER.warn('init', '⚠️ Config loader not found, using built-in defaults');
+            return;
+        }
+
+        this.configReport = await window.CONFIG_LOADER.load('config.json');
+        this.applyConfiguration();
+    }
+
+    async verifyAssets() {
+        if (!window.ASSET_MANIFEST) {
+            LOGGER.warn('init', '⚠️ Asset manifest not found, skipping integrity check');
+            return;
+        }
+
+        this.assetReport = await window.ASSET_MANIFEST.verify();
+        this.showAssetWarnings();
+    }
+
+    showAssetWarnings() {
+        const warnings = document.getElementById('loading-warnings');
+        if (!warnings || !window.ASSET_MANIFEST.hasProblems()) return;
+
+        const problems = [...this.assetReport.missing, ...this.assetReport.mismatched];
+        warnings.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'loading-warnings-title';
+        title.textContent = I18N.t('loading.assetWarnings', { count: problems.length });
+        warnings.appendChild(title);
+
+        problems.forEach(entry => {
+            const line = document.createElement('div');
+            line.textContent = I18N.t('loading.assetProblem', {
+                status: I18N.t(`asset.status.${entry.status}`),
+                path: entry.path,
+                reason: entry.reason
+            });
+            warnings.appendChild(line);
+        });
+
+        warnings.classList.remove('hidden');
+    }
+
+    applyConfiguration() {
+        // Systems constructed at script load cached some values, refresh them
+        if (window.PIXEL_SCALER) {
+            window.PIXEL_SCALER.scale = CONFIG.PIXEL_SCALE;
+            window.PIXEL_SCALER.fitMode = CONFIG.PIXEL_FIT;
+        }
+
+        if (window.PERFORMANCE_DETECTOR) {
+            window.PERFORMANCE_DETECTOR.refreshTargetFPS();
+        }
+
+        if (window.GAME_LOOP && window.PERFORMANCE_DETECTOR) {
+            window.GAME_LOOP.setFPS(window.PERFORMANCE_DETECTOR.supportedFPS);
+        }
+
+        if (window.AUDIO_SYSTEM) {
+            window.AUDIO_SYSTEM.masterVolume = CONFIG.GAME.AUDIO_VOLUME;
+        }
+
+        if (window.PARALLAX_SYSTEM) {
+            window.PARALLAX_SYSTEM.parallaxIntensity = CONFIG.GAME.PARALLAX_INTENSITY;
+        }
+    }
+
+    async initializeSystems() {
+        LOGGER.info('init', '⚙️ Initializing registered systems...');
+        
+        const registry = window.SYSTEM_REGISTRY;
+        this.totalSystems = registry.size;
+        
+        const { cyclic } = registry.resolveOrder();
+        if (cyclic.length > 0) {
+            LOGGER.error('init', '❌ Circular system dependencies:', cyclic);
+        }
+        
+        await registry.initializeAll({
+            onStart: (entry) => {
+                this.setLoadingPhase(I18N.t('loading.phase.system', { name: entry.name }));
+            },
+            onSettled: (entry) => {
+                if (entry.status === 'ready') {
+                    this.systems.set(entry.name, entry.instance);
+                    LOGGER.info('init', `✅ ${entry.name} system ready`);
+                } else {
+                    const message = `${entry.name} system ${entry.status}: ${entry.error ? entry.error.message : 'unknown error'}`;
+                    if (entry.optional) {
+                        LOGGER.warn('init', `⚠️ ${message}`);
+                    } else {
+                        LOGGER.error('init', `❌ ${message}`);
+                    }
+                }
+                
+                this.settledSystems++;
+                this.refreshLoadingProgress();
+            }
+        });
+    }
+
+    async startGame() {
+        LOGGER.info('init', '🎪 Starting game systems...');
+        
+        // Start the main game loop
+        if (window.GAME_LOOP && window.GAME_LOOP.start) {
+            window.GAME_LOOP.start();
+        }
+        
+        // Enable audio after user interaction
+        setTimeout(() => {
+            if (window.AUDIO_SYSTEM) {
+                window.AUDIO_SYSTEM.enableAudio();
+            }
+        }, CONFIG.GAME.AMBIENT_AUDIO_DELAY);
+        
+        LOGGER.info('init', '✅ Game systems started');
+    }
+
+    trackAssetProgress() {
+        if (!window.ASSET_LOADER) return;
+
+        // Manifest entries plus config.json go through the loader during boot; lazy sounds load
+        // afterwards and streamed ones never touch the loader
+        const bootEntries = window.ASSET_MANIFEST ?
+            window.ASSET_MANIFEST.getEntries().filter(entry => !entry.load || entry.load === 'critical') : null;
+        const expected = bootEntries ? bootEntries.length + 1 : 0;
+        window.ASSET_LOADER.expect(expected);
+        this.unsubscribeAssetProgress = window.ASSET_LOADER.onProgress(progress => {
+            this.assetProgress = progress;
+            this.refreshLoadingProgress();
+        });
+    }
+
+    refreshLoadingProgress() {
+        // Assets dominate load time; settled systems cover the remainder
+        const assetRatio = this.assetProgress ? this.assetProgress.ratio : 0;
+        const systemRatio = this.totalSystems > 0 ? this.settledSystems / this.totalSystems : 0;
+        const percent = (assetRatio * 0.7 + systemRatio * 0.3) * 100;
+        
+        // Keep the bar monotonic when late requests grow the asset total
+        this.updateLoadingProgress(Math.max(this.loadingProgress, percent), this.formatLoadingDetails());
+    }
+
+    stopAssetTracking() {
+        if (this.unsubscribeAssetProgress) {
+            this.unsubscribeAssetProgress();
+            this.unsubscribeAssetProgress = null;
+        }
+    }
+
+    setLoadingPhase(phase) {
+        this.loadingPhase = phase;
+        this.updateLoadingProgress(this.loadingProgress, this.formatLoadingDetails());
+    }
+
+    formatLoadingDetails() {
+        const counts = [];
+        const progress = this.assetProgress;
+        
+        if (progress && progress.total > 0) {
+            const settled = progress.completed + progress.failed;
+            counts.push(I18N.t('loading.assetCount', {
+                settled,
+                total: progress.total,
+                bytes: Utils.formatBytes(progress.bytesLoaded)
+            }));
+        }
+        if (this.settledSystems > 0) {
+            counts.push(I18N.t('loading.systemCount', { settled: this.settledSystems, total: this.totalSystems }));
+        }
+        
+        return counts.length > 0 ? `${this.loadingPhase} [${counts.join(' | ')}]` : this.loadingPhase;
+    }
+
+    updateLoadingProgress(percent, message = '') {
+        const previousPercent = Math.floor(this.loadingProgress);
+        this.loadingProgress = percent;
+        
+        const loadingBar = document.getElementById('loading-progress-bar');
+        const loadingText = document.getElementById('loading-text');
+        const loadingDetails = document.getElementById('loading-details');
+        
+        if (loadingBar) {
+            loadingBar.style.width = percent + '%';
+        }
+        
+        if (loadingText) {
+            loadingText.textContent = I18N.t('loading.titleProgress', { percent: Math.floor(percent) });
+        }
+        
+        if (loadingDetails && message) {
+            loadingDetails.textContent = message;
+        }
+        
+        if (Math.floor(percent) !== previousPercent) {
+            LOGGER.debug('init', `📊 Loading: ${Math.floor(percent)}% ${message}`);
+        }
+    }
+
+    onInitializationComplete() {
+        LOGGER.info('init', '🎉 Initialization complete!');
+        LOGGER.info('init', '🌟 FETHI\'S ANOMALY FACILITY 🌟');
+        LOGGER.info('init', 'Systems initialized:', Array.from(this.systems.keys()));
+        
+        // Remove loading screen and start experience, lingering if there are asset warnings to read
+        const hasAssetWarnings = window.ASSET_MANIFEST && window.ASSET_MANIFEST.hasProblems();
+        setTimeout(async () => {
+            // First visit: measure the device behind the loading screen, before the welcome sequence runs
+            if (window.PERFORMANCE_DETECTOR) {
+                await window.PERFORMANCE_DETECTOR.benchmarkWhenIdle();
+            }
+
+            this.removeLoadingScreen();
+            this.triggerWelcomeSequence();
+        }, hasAssetWarnings ? 4000 : 1000);
+    }
+
+    removeLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        const gameContainer = document.getElementById('game-container');
+        
+        if (loadingScreen && gameContainer) {
+            // Add fade-out animation
+            loadingScreen.style.transition = 'opacity 0.8s ease';
+            loadingScreen.style.opacity = '0';
+            
+            setTimeout(() => {
+                loadingScreen.classList.remove('loading-active');
+                loadingScreen.classList.add('hidden');
+                
+                gameContainer.classList.remove('hidden');
+                gameContainer.style.display = 'block';
+                
+                LOGGER.info('init', '🎮 Game container revealed');
+            }, 800);
+        } else {
+            LOGGER.error('init', '❌ Could not find loading screen or game container');
+        }
+    }
+
+    triggerWelcomeSequence() {
+        LOGGER.info('init', '👋 Starting welcome sequence...');
+        
+        // Play welcome backflip
+        if (window.CHARACTER_SYSTEM) {
+            setTimeout(() => {
+                window.CHARACTER_SYSTEM.playBackflip('east');
+            }, 500);
+        }
+        
+        // Start ambient audio
+        if (window.AUDIO_SYSTEM) {
+            window.AUDIO_SYSTEM.startAmbientAudio();
+        }
+        
+        // Welcome message (console styles cannot resolve CSS variables, so use raw theme colors)
+        setTimeout(() => {
+            const primary = window.THEME_SYSTEM ? window.THEME_SYSTEM.getColor('ENERGY_CYAN') : CONFIG.COLORS.ENERGY_CYAN;
+            const accent = window.THEME_SYSTEM ? window.THEME_SYSTEM.getColor('PLASMA_PINK') : CONFIG.COLORS.PLASMA_PINK;
+            console.log(`%c${I18N.t('welcome.title')}`, 
+                `color: ${primary}; font-size: 18px; font-weight: bold; text-shadow: 0 0 10px ${primary};`);
+            console.log(`%c${I18N.t('welcome.hint')}`, 
+                `color: ${accent}; font-size: 14px;`);
+        }, 1000);
+    }
+
+    handleInitializationError(error) {
+        LOGGER.error('init', '💥 Critical initialization error:', error);
+        
+        const errorMessage = `
+${I18N.t('error.message', { message: error.message })}
+
+${I18N.t('error.systemsStatus')}
+${Array.from(this.systems.entries()).map(([name, system]) => 
+    `• ${name}: ${I18N.t(system ? 'error.systemReady' : 'error.systemMissing')}`).join('\n')}
+
+${I18N.t('error.progress', { percent: this.loadingProgress })}
+
+${I18N.t('error.troubleshooting')}
+${I18N.t('error.troubleshoot1')}
+${I18N.t('error.troubleshoot2')}
+${I18N.t('error.troubleshoot3')}
+        `;
+        
+        this.showErrorMessage(errorMessage);
+    }
+
+    showErrorMessage(message) {
+        const errorDiv = document.createElement('div');
+        errorDiv.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(var(--color-alert-red-rgb), 0.95);
+            color: white;
+            padding: 30px;
+            border-radius: 10px;
+            border: 2px solid var(--color-alert-red);
+            z-index: 10000;
+            font-family: 'Courier New', monospace;
+            text-align: center;
+            max-width: 500px;
+            box-shadow: 0 0 30px rgba(var(--color-alert-red-rgb), 0.7);
+            backdrop-filter: blur(10px);
+        `;
+        errorDiv.innerHTML = `
+            <h2 style="margin-bottom: 15px; color: var(--color-spark-yellow);">${I18N.t('error.title')}</h2>
+            <pre style="margin-bottom: 20px; text-align: start; white-space: pre-wrap; font-size: 12px; background: rgba(0,0,0,0.3); padding: 15px; border-radius: 5px;">${message}</pre>
+            <div style="margin-bottom: 15px; font-size: 14px;">
+                <strong>${I18N.t('error.quickChecks')}</strong><br>
+                ${I18N.t('error.check1')}<br>
+                ${I18N.t('error.check2')}<br>
+                ${I18N.t('error.check3')}
+            </div>
+            <button onclick="location.reload()" style="
+                background: var(--color-energy-cyan);
+                color: var(--color-deep-space);
+                border: none;
+                padding: 12px 24px;
+                cursor: pointer;
+                font-family: 'Courier New', monospace;
+                font-weight: bold;
+                border-radius: 4px;
+                margin: 5px;
+            ">${I18N.t('error.refresh')}</button>
+            <button onclick="window.FETHI_FACILITY.debug()" style="
+                background: var(--color-plasma-pink);
+                color: white;
+                border: none;
+                padding: 12px 24px;
+                cursor: pointer;
+                font-family: 'Courier New', monospace;
+                font-weight: bold;
+                border-radius: 4px;
+                margin: 5px;
+            ">${I18N.t('error.debug')}</button>
+        `;
+        
+        document.body.appendChild(errorDiv);
+    }
+
+    getStatus() {
+        return {
+            initialized: this.isInitialized,
+            progress: this.loadingProgress,
+            systems: Array.from(this.systems.keys()),
+            totalSystems: this.totalSystems,
+            config: this.configReport || null,
+            assets: this.assetReport || null,
+            loader: window.ASSET_LOADER ? window.ASSET_LOADER.getStats() : null,
+            registry: window.SYSTEM_REGISTRY ? window.SYSTEM_REGISTRY.getStatus() : []
+        };
+    }
+
+    debug() {
+        console.log('🐛 Debug Information:');
+        console.log('=====================');
+        console.log('Initialization Status:', this.getStatus());
+        if (window.CONFIG_LOADER) {
+            console.log(window.CONFIG_LOADER.formatReport());
+        }
+        if (window.ASSET_MANIFEST) {
+            console.log(window.ASSET_MANIFEST.formatReport());
+        }
+        console.log('Available Systems:');
+        console.log('  CONFIG:', !!window.CONFIG);
+        console.log('  CONFIG_LOADER:', !!window.CONFIG_LOADER);
+        console.log('  ASSET_MANIFEST:', !!window.ASSET_MANIFEST);
+        console.log('  ASSET_LOADER:', !!window.ASSET_LOADER);
+        console.log('  SYSTEM_REGISTRY:', !!window.SYSTEM_REGISTRY);
+        console.log('  SETTINGS_STORE:', !!window.SETTINGS_STORE);
+        console.log('  THEME_SYSTEM:', !!window.THEME_SYSTEM);
+        console.log('  Utils:', !!window.Utils);
+        console.log('  EVENT_BUS:', !!window.EVENT_BUS);
+        console.log('  PIXEL_SCALER:', !!window.PIXEL_SCALER, window.PIXEL_SCALER ? `(${window.PIXEL_SCALER.describe()})` : '');
+        console.log('  COORDINATE_MAPPER:', !!window.COORDINATE_MAPPER, window.COORDINATE_MAPPER ? `(${window.COORDINATE_MAPPER.describe()})` : '');
+        console.log('  PERFORMANCE_DETECTOR:', !!window.PERFORMANCE_DETECTOR);
+        console.log('  GAME_LOOP:', !!window.GAME_LOOP);
+        console.log('  QUALITY_GOVERNOR:', !!window.QUALITY_GOVERNOR);
+        console.log('  CANVAS_RENDERER:', !!window.CANVAS_RENDERER);
+        console.log('  AUDIO_SYSTEM:', !!window.AUDIO_SYSTEM);
+        console.log('  AUDIO_MIXER:', !!window.AUDIO_MIXER, window.AUDIO_MIXER ? `(${window.AUDIO_MIXER.preset})` : '');
+        console.log('  PARALLAX_SYSTEM:', !!window.PARALLAX_SYSTEM);
+        console.log('  CURSOR_SYSTEM:', !!window.CURSOR_SYSTEM);
+        console.log('  CHARACTER_SYSTEM:', !!window.CHARACTER_SYSTEM);
+        console.log('  HOVER_DETECTOR:', !!window.HOVER_DETECTOR);
+        console.log('  ANIMATION_CONTROLLER:', !!window.ANIMATION_CONTROLLER);
+        console.log('  CRT_SYSTEM:', !!window.CRT_SYSTEM, window.CRT_SYSTEM ? `(${window.CRT_SYSTEM.mode})` : '');
+        console.log('  SETTINGS_PANEL:', !!window.SETTINGS_PANEL);
+        console.log('  PERFORMANCE_HUD:', !!window.PERFORMANCE_HUD);
+        console.log('  DIAGNOSTICS_OVERLAY:', !!window.DIAGNOSTICS_OVERLAY);
+        console.log('  I18N:', !!window.I18N, window.I18N ? `(${window.I18N.locale})` : '');
+        console.log('=====================');
+        if (window.LOGGER) {
+            console.log(`Recent log entries (${window.LOGGER.size} buffered, download with FETHI_FACILITY.logs.download()):`);
+            window.LOGGER.dump();
+        }
+    }
+}
+
+// Pick the locale before any loading text is drawn
+I18N.init();
+
+// Create the game instance
+const GAME = new GameInitializer();
+
+// Global debugging and control interface
+window.FETHI_FACILITY = {
+    game: GAME,
+    config: window.CONFIG,
+    events: window.EVENT_BUS,
+    settings: window.SETTINGS_STORE,
+    systems: {
+        audio: window.AUDIO_SYSTEM,
+        mixer: window.AUDIO_MIXER,
+        character: window.CHARACTER_SYSTEM,
+        cursor: window.CURSOR_SYSTEM,
+        parallax: window.PARALLAX_SYSTEM,
+        animation: window.ANIMATION_CONTROLLER,
+        crt: window.CRT_SYSTEM,
+        theme: window.THEME_SYSTEM,
+        settingsPanel: window.SETTINGS_PANEL,
+        loop: window.GAME_LOOP,
+        performance: window.PERFORMANCE_DETECTOR,
+        quality: window.QUALITY_GOVERNOR,
+        renderer: window.CANVAS_RENDERER,
+        coordinates: window.COORDINATE_MAPPER,
+        hud: window.PERFORMANCE_HUD,
+        diagnostics: window.DIAGNOSTICS_OVERLAY
+    },
+    logs: window.LOGGER,
+    i18n: window.I18N,
+    debug: () => GAME.debug(),
+    getStatus: () => GAME.getStatus(),
+    pause: () => GAME_LOOP.pause(),
+    resume: () => GAME_LOOP.resume(),
+    step: () => GAME_LOOP.step(),
+    setTimeScale: (scale) => GAME_LOOP.setTimeScale(scale),
+    enableSystem: (name) => GAME_LOOP.enableSystem(name),
+    playCue: (name, options) => AUDIO_SYSTEM.playCue(name, options),
+    playSynth: (preset) => AUDIO_SYSTEM.playSynth(preset),
+    restart: () => location.reload()
+};
+
+LOGGER.info('init', '🔧 Fethi\'s Anomaly Facility - Debug interface available at window.FETHI_FACILITY');
+
+// Auto-start when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        LOGGER.info('init', '📄 DOM loaded, starting game initialization...');
+        setTimeout(() => GAME.initialize(), 100);
+    });
+} else {
+    LOGGER.info('init', '⚡ DOM already loaded, starting game initialization...');
+    setTimeout(() => GAME.initialize(), 100);
+}
@@ -0,0 +1,73 @@
+// Arabic strings, rendered right-to-left
+I18N.register('ar', {
+    'loading.title': 'جارٍ تهيئة منشأة الشذوذ...',
+    'loading.titleProgress': 'جارٍ تهيئة منشأة الشذوذ... {percent}%',
+    'loading.booting': 'جارٍ تشغيل الأنظمة...',
+    'loading.phase.config': 'جارٍ تحميل الإعدادات...',
+    'loading.phase.assets': 'جارٍ التحقق من بيان الموارد...',
+    'loading.phase.systems': 'جارٍ تهيئة الأنظمة...',
+    'loading.phase.system': 'جارٍ تهيئة {name}...',
+    'loading.phase.world': 'جارٍ تشغيل عالم اللعبة...',
+    'loading.ready': 'جاهز!',
+    'loading.assetCount': '{settled}/{total} موارد، {bytes}',
+    'loading.systemCount': '{settled}/{total} أنظمة',
+    'loading.assetWarnings': '⚠ {count} من الموارد مفقودة أو غير مطابقة',
+    'loading.assetProblem': '{status}: {path} ({reason})',
+    'asset.status.missing': 'مفقود',
+    'asset.status.mismatched': 'غير مطابق',
+
+    'error.title': '🚨 خطأ في تهيئة النظام',
+    'error.message': 'خطأ في التهيئة: {message}',
+    'error.systemsStatus': 'حالة الأنظمة:',
+    'error.systemReady': 'جاهز',
+    'error.systemMissing': 'مفقود',
+    'error.progress': 'تقدم التحميل: {percent}%',
+    'error.troubleshooting': 'استكشاف الأخطاء:',
+    'error.troubleshoot1': '1. تحقق من أخطاء 404 في وحدة تحكم المتصفح',
+    'error.troubleshoot2': '2. تأكد من تحميل جميع ملفات JavaScript',
+    'error.troubleshoot3': '3. تأكد من وجود pixel-scaling.js في js/engine/',
+    'error.quickChecks': 'فحوصات سريعة:',
+    'error.check1': '• افحص وحدة تحكم المتصفح (F12) بحثًا عن أخطاء',
+    'error.check2': '• تأكد من وجود pixel-scaling.js',
+    'error.check3': '• جميع ملفات JavaScript تُحمَّل بشكل صحيح',
+    'error.refresh': '🔄 تحديث الصفحة',
+    'error.debug': '🐛 معلومات التصحيح',
+
+    'welcome.title': '👋 مرحبًا بك في منشأة الشذوذ الخاصة بفتحي!',
+    'welcome.hint': 'حرّك المؤشر لتنفيذ الشقلبات، وانقر للانحناء!',
+
+    'diagnostics.title': '⚠ أعطال في الأنظمة',
+    'diagnostics.entry': 'تم تعطيل {name} بعد {count} خطأ في {phase}: {error}',
+    'diagnostics.retry': 'إعادة التفعيل',
+
+    'settings.title': '// إعدادات المنشأة',
+    'settings.ariaLabel': 'إعدادات المنشأة',
+    'settings.masterVolume': 'مستوى الصوت العام',
+    'settings.muted': 'كتم الصوت',
+    'settings.parallaxIntensity': 'اختلاف المنظر',
+    'settings.trailLength': 'أثر المؤشر',
+    'settings.hoverCooldown': 'مهلة التمرير',
+    'settings.movementThreshold': 'حد الحركة',
+    'settings.pixelScale': 'مقياس البكسل',
+    'settings.pixelFit': 'ملاءمة البكسل',
+    'settings.crtEffects': 'تأثيرات CRT',
+    'settings.renderer': 'المُصيِّر',
+    'settings.performanceHud': 'لوحة الأداء',
+    'settings.theme': 'السمة',
+    'settings.hint': '[{key}] إظهار  [ESC] إغلاق',
+    'settings.on': 'تشغيل',
+    'settings.off': 'إيقاف',
+    'settings.unavailable': 'غير متاح',
+
+    'renderer.dom': 'DOM',
+    'renderer.canvas': 'لوحة 320×240',
+
+    'pixelFit.integer': 'عدد صحيح',
+    'pixelFit.fill': 'ملء',
+    'pixelFit.stretch': 'تمديد',
+    'pixelFit.manual': 'يدوي',
+
+    'theme.anomaly': 'بنفسجي الشذوذ',
+    'theme.phosphor': 'فسفور أخضر',
+    'theme.amber': 'CRT كهرماني'
+}, { rtl: true });
@@ -0,0 +1,73 @@
+// English strings, also the final fallback for every other locale
+I18N.register('en', {
+    'loading.title': 'INITIALIZING ANOMALY FACILITY...',
+    'loading.titleProgress': 'INITIALIZING ANOMALY FACILITY... {percent}%',
+    'loading.booting': 'Booting systems...',
+    'loading.phase.config': 'Loading configuration...',
+    'loading.phase.assets': 'Verifying asset manifest...',
+    'loading.phase.systems': 'Initializing systems...',
+    'loading.phase.system': 'Initializing {name}...',
+    'loading.phase.world': 'Starting game world...',
+    'loading.ready': 'Ready!',
+    'loading.assetCount': '{settled}/{total} assets, {bytes}',
+    'loading.systemCount': '{settled}/{total} systems',
+    'loading.assetWarnings': '⚠ {count} ASSET(S) MISSING OR MISMATCHED',
+    'loading.assetProblem': '{status}: {path} ({reason})',
+    'asset.status.missing': 'MISSING',
+    'asset.status.mismatched': 'MISMATCHED',
+
+    'error.title': '🚨 SYSTEM INITIALIZATION ERROR',
+    'error.message': 'Initialization Error: {message}',
+    'error.systemsStatus': 'Systems Status:',
+    'error.systemReady': 'READY',
+    'error.systemMissing': 'MISSING',
+    'error.progress': 'Loading Progress: {percent}%',
+    'error.troubleshooting': 'Troubleshooting:',
+    'error.troubleshoot1': '1. Check browser console for 404 errors',
+    'error.troubleshoot2': '2. Verify all JavaScript files are loading',
+    'error.troubleshoot3': '3. Ensure pixel-scaling.js exists in js/engine/',
+    'error.quickChecks': 'Quick checks:',
+    'error.check1': '• Check browser console (F12) for errors',
+    'error.check2': '• Verify pixel-scaling.js exists',
+    'error.check3': '• All JavaScript files loading correctly',
+    'error.refresh': '🔄 Refresh Page',
+    'error.debug': '🐛 Debug Info',
+
+    'welcome.title': '👋 Welcome to Fethi\'s Anomaly Facility!',
+    'welcome.hint': 'Move your cursor to trigger backflips, click to crouch!',
+
+    'diagnostics.title': '⚠ SYSTEM FAULTS',
+    'diagnostics.entry': '{name} disabled after {count} error(s) in {phase}: {error}',
+    'diagnostics.retry': 'RE-ENABLE',
+
+    'settings.title': '// FACILITY SETTINGS',
+    'settings.ariaLabel': 'Facility settings',
+    'settings.masterVolume': 'MASTER VOLUME',
+    'settings.muted': 'MUTE',
+    'settings.parallaxIntensity': 'PARALLAX',
+    'settings.trailLength': 'CURSOR TRAIL',
+    'settings.hoverCooldown': 'HOVER COOLDOWN',
+    'settings.movementThreshold': 'MOVE THRESHOLD',
+    'settings.pixelScale': 'PIXEL SCALE',
+    'settings.pixelFit': 'PIXEL FIT',
+    'settings.crtEffects': 'CRT EFFECTS',
+    'settings.renderer': 'RENDERER',
+    'settings.performanceHud': 'PERF HUD',
+    'settings.theme': 'THEME',
+    'settings.hint': '[{key}] TOGGLE  [ESC] CLOSE',
+    'settings.on': 'ON',
+    'settings.off': 'OFF',
+    'settings.unavailable': 'N/A',
+
+    'renderer.dom': 'DOM',
+    'renderer.canvas': 'CANVAS 320×240',
+
+    'pixelFit.integer': 'INTEGER',
+    'pixelFit.fill': 'FILL',
+    'pixelFit.stretch': 'STRETCH',
+    'pixelFit.manual': 'MANUAL',
+
+    'theme.anomaly': 'ANOMALY PURPLE',
+    'theme.phosphor': 'GREEN PHOSPHOR',
+    'theme.amber': 'AMBER CRT'
+});
@@ -0,0 +1,73 @@
+// Chaînes françaises
+I18N.register('fr', {
+    'loading.title': 'INITIALISATION DU SITE ANOMALIE...',
+    'loading.titleProgress': 'INITIALISATION DU SITE ANOMALIE... {percent} %',
+    'loading.booting': 'Démarrage des systèmes...',
+    'loading.phase.config': 'Chargement de la configuration...',
+    'loading.phase.assets': 'Vérification du manifeste des ressources...',
+    'loading.phase.systems': 'Initialisation des systèmes...',
+    'loading.phase.system': 'Initialisation de {name}...',
+    'loading.phase.world': 'Démarrage du monde de jeu...',
+    'loading.ready': 'Prêt !',
+    'loading.assetCount': '{settled}/{total} ressources, {bytes}',
+    'loading.systemCount': '{settled}/{total} systèmes',
+    'loading.assetWarnings': '⚠ {count} RESSOURCE(S) MANQUANTE(S) OU NON CONFORME(S)',
+    'loading.assetProblem': '{status} : {path} ({reason})',
+    'asset.status.missing': 'MANQUANTE',
+    'asset.status.mismatched': 'NON CONFORME',
+
+    'error.title': '🚨 ERREUR D\'INITIALISATION DU SYSTÈME',
+    'error.message': 'Erreur d\'initialisation : {message}',
+    'error.systemsStatus': 'État des systèmes :',
+    'error.systemReady': 'PRÊT',
+    'error.systemMissing': 'ABSENT',
+    'error.progress': 'Progression du chargement : {percent} %',
+    'error.troubleshooting': 'Dépannage :',
+    'error.troubleshoot1': '1. Cherchez des erreurs 404 dans la console du navigateur',
+    'error.troubleshoot2': '2. Vérifiez que tous les fichiers JavaScript se chargent',
+    'error.troubleshoot3': '3. Assurez-vous que pixel-scaling.js existe dans js/engine/',
+    'error.quickChecks': 'Vérifications rapides :',
+    'error.check1': '• Consultez la console du navigateur (F12)',
+    'error.check2': '• Vérifiez que pixel-scaling.js existe',
+    'error.check3': '• Tous les fichiers JavaScript se chargent correctement',
+    'error.refresh': '🔄 Recharger la page',
+    'error.debug': '🐛 Infos de débogage',
+
+    'welcome.title': '👋 Bienvenue sur le site anomalie de Fethi !',
+    'welcome.hint': 'Bougez le curseur pour déclencher des saltos, cliquez pour vous accroupir !',
+
+    'diagnostics.title': '⚠ DÉFAILLANCES SYSTÈME',
+    'diagnostics.entry': '{name} désactivé après {count} erreur(s) dans {phase} : {error}',
+    'diagnostics.retry': 'RÉACTIVER',
+
+    'settings.title': '// PARAMÈTRES DU SITE',
+    'settings.ariaLabel': 'Paramètres du site',
+    'settings.masterVolume': 'VOLUME GÉNÉRAL',
+    'settings.muted': 'MUET',
+    'settings.parallaxIntensity': 'PARALLAXE',
+    'settings.trailLength': 'TRAÎNÉE DU CURSEUR',
+    'settings.hoverCooldown': 'DÉLAI DE SURVOL',
+    'settings.movementThreshold': 'SEUIL DE MOUVEMENT',
+    'settings.pixelScale': 'ÉCHELLE DES PIXELS',
+    'settings.pixelFit': 'AJUSTEMENT',
+    'settings.crtEffects': 'EFFETS CRT',
+    'settings.renderer': 'RENDU',
+    'settings.performanceHud': 'HUD PERFS',
+    'settings.theme': 'THÈME',
+    'settings.hint': '[{key}] AFFICHER  [ÉCHAP] FERMER',
+    'settings.on': 'OUI',
+    'settings.off': 'NON',
+    'settings.unavailable': 'N/D',
+
+    'renderer.dom': 'DOM',
+    'renderer.canvas': 'CANVAS 320×240',
+
+    'pixelFit.integer': 'ENTIER',
+    'pixelFit.fill': 'REMPLIR',
+    'pixelFit.stretch': 'ÉTIRER',
+    'pixelFit.manual': 'MANUEL',
+
+    'theme.anomaly': 'VIOLET ANOMALIE',
+    'theme.phosphor': 'PHOSPHORE VERT',
+    'theme.amber': 'CRT AMBRE'
+});
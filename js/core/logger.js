@@ -0,0 +1,181 @@
+// Structured logger with levels, per-system categories and an in-memory ring buffer
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const LOG_LEVEL_STORAGE_KEY = 'fethi-facility-log-level';
+
+class Logger {
+    constructor(options = {}) {
+        this.capacity = options.capacity || 500;
+        this.buffer = new Array(this.capacity);
+        this.writeIndex = 0;
+        this.size = 0;
+
+        this.level = this.detectDefaultLevel();
+        this.bufferLevel = 'info';
+        this.categoryLevels = new Map();
+    }
+
+    // Silent in production; ?log=<level> or a stored level turns console output on
+    detectDefaultLevel() {
+        try {
+            const fromQuery = new URLSearchParams(window.location.search).get('log');
+            if (fromQuery && LOG_LEVELS[fromQuery] !== undefined) return fromQuery;
+
+            const fromStorage = window.localStorage.getItem(LOG_LEVEL_STORAGE_KEY);
+            if (fromStorage && LOG_LEVELS[fromStorage] !== undefined) return fromStorage;
+        } catch (error) {
+            // Storage may be blocked, fall through to host detection
+        }
+
+        const host = window.location.hostname;
+        const isDevelopment = window.location.protocol === 'file:' ||
+            host === 'localhost' || host === '127.0.0.1' || host === '';
+        return isDevelopment ? 'info' : 'silent';
+    }
+
+    setLevel(level, category = null) {
+        if (LOG_LEVELS[level] === undefined) {
+            console.warn(`Unknown log level: ${level}`);
+            return;
+        }
+
+        if (category) {
+            this.categoryLevels.set(category, level);
+            return;
+        }
+
+        this.level = level;
+        try {
+            window.localStorage.setItem(LOG_LEVEL_STORAGE_KEY, level);
+        } catch (error) {
+            // Not persisted when storage is blocked
+        }
+    }
+
+    setBufferLevel(level) {
+        if (LOG_LEVELS[level] !== undefined) {
+            this.bufferLevel = level;
+        }
+    }
+
+    debug(category, message, ...data) {
+        this.write('debug', category, message, data);
+    }
+
+    info(category, message, ...data) {
+        this.write('info', category, message, data);
+    }
+
+    warn(category, message, ...data) {
+        this.write('warn', category, message, data);
+    }
+
+    error(category, message, ...data) {
+        this.write('error', category, message, data);
+    }
+
+    write(level, category, message, data) {
+        const severity = LOG_LEVELS[level];
+
+        if (severity >= LOG_LEVELS[this.bufferLevel]) {
+            this.record({
+                time: new Date().toISOString(),
+                level,
+                category,
+                message,
+                data
+            });
+        }
+
+        const threshold = this.categoryLevels.get(category) || this.level;
+        if (severity < LOG_LEVELS[threshold]) return;
+
+        const method = level === 'debug' ? 'debug' : level === 'info' ? 'log' : level;
+        console[method](`[${category}] ${message}`, ...data);
+    }
+
+    record(entry) {
+        this.buffer[this.writeIndex] = entry;
+        this.writeIndex = (this.writeIndex + 1) % this.capacity;
+        this.size = Math.min(this.size + 1, this.capacity);
+    }
+
+    getEntries(filter = {}) {
+        const start = (this.writeIndex - this.size + this.capacity) % this.capacity;
+        const entries = [];
+
+        for (let i = 0; i < this.size; i++) {
+            entries.push(this.buffer[(start + i) % this.capacity]);
+        }
+
+        return entries.filter(entry =>
+            (!filter.category || entry.category === filter.category) &&
+            (!filter.level || LOG_LEVELS[entry.level] >= LOG_LEVELS[filter.level])
+        );
+    }
+
+    // Data is serialized lazily so hot paths never pay for JSON conversion
+    serialize(value) {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (typeof Node !== 'undefined' && value instanceof Node) {
+            return `<${value.nodeName.toLowerCase()}${value.id ? '#' + value.id : ''}>`;
+        }
+        try {
+            return JSON.parse(JSON.stringify(value));
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    export(filter = {}) {
+        const entries = this.getEntries(filter).map(entry => ({
+            ...entry,
+            data: entry.data.map(value => this.serialize(value))
+        }));
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            level: this.level,
+            entries
+        }, null, 2);
+    }
+
+    download(filename = `fethi-facility-log-${Date.now()}.json`) {
+        const blob = new Blob([this.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    dump(filter = {}) {
+        console.table(this.getEntries(filter).map(entry => ({
+            time: entry.time,
+            level: entry.level,
+            category: entry.category,
+            message: entry.message
+        })));
+    }
+
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.writeIndex = 0;
+        this.size = 0;
+    }
+}
+
+window.LOG_LEVELS = LOG_LEVELS;
+window.LOGGER = new Logger();
@@ -0,0 +1,182 @@
+// Versioned user settings persisted in localStorage
+const SETTINGS_STORAGE_KEY = 'fethi-facility-settings';
+const SETTINGS_VERSION = 1;
+
+// Each migration upgrades stored values from version N to N + 1
+const SETTINGS_MIGRATIONS = {
+    // Version 0: unversioned flat object written before the envelope existed
+    0: (values) => ({ ...values })
+};
+
+// Stand-in for localStorage when it is blocked (private mode, sandboxed iframes)
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+class SettingsStore {
+    constructor() {
+        this.storage = null;
+        this.persistent = false;
+        this.values = {};
+        this.loaded = false;
+    }
+
+    init() {
+        this.storage = this.openStorage();
+        this.values = this.load();
+        this.loaded = true;
+        LOGGER.info('settings', `✅ Settings restored (${this.persistent ? 'localStorage' : 'in-memory'})`, this.values);
+    }
+
+    getDefaults() {
+        return {
+            masterVolume: CONFIG.GAME.AUDIO_VOLUME,
+            muted: false,
+            audioMix: {},
+            parallaxIntensity: CONFIG.GAME.PARALLAX_INTENSITY,
+            trailLength: 5,
+            hoverCooldown: 1000,
+            movementThreshold: 50,
+            pixelScale: CONFIG.PIXEL_SCALE,
+            pixelFit: CONFIG.PIXEL_FIT,
+            crtEffects: true,
+            theme: 'anomaly',
+            performanceHud: false,
+            // With WebGL the canvas backend is the default, so the CRT shader pass replaces the CSS overlay
+            renderer: window.PERFORMANCE_DETECTOR && PERFORMANCE_DETECTOR.capabilities.webgl ? 'canvas' : 'dom'
+        };
+    }
+
+    openStorage() {
+        try {
+            // detectStorage() only checks presence; blocked storage throws on write
+            const probeKey = `${SETTINGS_STORAGE_KEY}-probe`;
+            window.localStorage.setItem(probeKey, '1');
+            window.localStorage.removeItem(probeKey);
+            this.persistent = true;
+            return window.localStorage;
+        } catch (error) {
+            LOGGER.warn('settings', '⚠️ localStorage unavailable, settings will not survive a reload');
+            this.persistent = false;
+            return new MemoryStorage();
+        }
+    }
+
+    load() {
+        const defaults = this.getDefaults();
+        let stored = null;
+
+        try {
+            const raw = this.storage.getItem(SETTINGS_STORAGE_KEY);
+            stored = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            LOGGER.warn('settings', '⚠️ Stored settings unreadable, using defaults', error);
+        }
+
+        if (!Utils.isPlainObject(stored)) {
+            return defaults;
+        }
+
+        const values = this.migrate(stored);
+        const merged = { ...defaults };
+
+        // Drop keys we no longer know and values of the wrong type
+        Object.keys(defaults).forEach(key => {
+            if (key in values && typeof values[key] === typeof defaults[key]) {
+                merged[key] = values[key];
+            }
+        });
+
+        return merged;
+    }
+
+    migrate(stored) {
+        let version = typeof stored.version === 'number' ? stored.version : 0;
+        let values = version === 0 ? stored : stored.values || {};
+
+        if (version > SETTINGS_VERSION) {
+            LOGGER.warn('settings', `⚠️ Settings from newer version ${version}, ignoring unknown fields`);
+            return values;
+        }
+
+        while (version < SETTINGS_VERSION) {
+            const migration = SETTINGS_MIGRATIONS[version];
+            values = migration ? migration(values) : values;
+            version++;
+            LOGGER.info('settings', `🔁 Migrated settings to version ${version}`);
+        }
+
+        return values;
+    }
+
+    get(key) {
+        if (!this.loaded) {
+            return this.getDefaults()[key];
+        }
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!(key in this.getDefaults())) {
+            LOGGER.warn('settings', `⚠️ Unknown setting: ${key}`);
+            return;
+        }
+        if (this.values[key] === value) return;
+
+        this.values[key] = value;
+        this.save();
+    }
+
+    // Only values that differ from the defaults are written, so later config.json defaults still reach the user
+    save() {
+        if (!this.storage) return;
+
+        const defaults = this.getDefaults();
+        const changed = {};
+        Object.keys(this.values).forEach(key => {
+            if (JSON.stringify(this.values[key]) !== JSON.stringify(defaults[key])) {
+                changed[key] = this.values[key];
+            }
+        });
+
+        try {
+            this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+                version: SETTINGS_VERSION,
+                values: changed
+            }));
+        } catch (error) {
+            // Quota errors should never break gameplay
+            LOGGER.warn('settings', '⚠️ Failed to save settings', error);
+        }
+    }
+
+    reset() {
+        this.values = this.getDefaults();
+        if (this.storage) {
+            this.storage.removeItem(SETTINGS_STORAGE_KEY);
+        }
+        LOGGER.info('settings', '🔄 Settings reset to defaults');
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+}
+
+window.SETTINGS_STORE = new SettingsStore();
+SYSTEM_REGISTRY.register('settings', window.SETTINGS_STORE);
+LOGGER.info('settings', '✅ Settings store loaded');
@@ -0,0 +1,150 @@
+// Declarative system registry with dependency-ordered initialization
+class SystemRegistry {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    register(name, instance, options = {}) {
+        if (this.entries.has(name)) {
+            LOGGER.warn('registry', `⚠️ System ${name} registered twice, replacing previous entry`);
+        }
+
+        const defaultInit = instance && typeof instance.init === 'function' ?
+            () => instance.init() :
+            null;
+
+        this.entries.set(name, {
+            name,
+            instance,
+            dependencies: options.dependencies || [],
+            optional: !!options.optional,
+            init: options.init || defaultInit,
+            status: 'pending',
+            error: null,
+            duration: 0
+        });
+    }
+
+    get(name) {
+        const entry = this.entries.get(name);
+        return entry ? entry.instance : null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Kahn's algorithm; systems caught in a cycle are returned separately
+    resolveOrder() {
+        const inDegree = new Map();
+        const dependents = new Map();
+
+        this.entries.forEach((entry, name) => {
+            inDegree.set(name, 0);
+            dependents.set(name, []);
+        });
+
+        this.entries.forEach((entry, name) => {
+            entry.dependencies.forEach(dependency => {
+                // Unknown dependencies are reported at init time, not here
+                if (!this.entries.has(dependency)) return;
+                inDegree.set(name, inDegree.get(name) + 1);
+                dependents.get(dependency).push(name);
+            });
+        });
+
+        const ready = Array.from(inDegree.keys()).filter(name => inDegree.get(name) === 0);
+        const order = [];
+
+        while (ready.length > 0) {
+            const name = ready.shift();
+            order.push(name);
+            dependents.get(name).forEach(dependent => {
+                inDegree.set(dependent, inDegree.get(dependent) - 1);
+                if (inDegree.get(dependent) === 0) {
+                    ready.push(dependent);
+                }
+            });
+        }
+
+        const cyclic = Array.from(this.entries.keys()).filter(name => !order.includes(name));
+        return { order, cyclic };
+    }
+
+    async initializeAll(callbacks = {}) {
+        const { onStart = () => {}, onSettled = () => {} } = callbacks;
+        const { order, cyclic } = this.resolveOrder();
+        const runs = new Map();
+
+        cyclic.forEach(name => {
+            const entry = this.entries.get(name);
+            this.settle(entry, 'failed', new Error('circular dependency'), onSettled);
+            runs.set(name, Promise.resolve(entry));
+        });
+
+        // Each system starts as soon as its own dependencies settle
+        order.forEach(name => {
+            const entry = this.entries.get(name);
+            const dependencyRuns = entry.dependencies.map(dependency => runs.get(dependency) ||
+                Promise.resolve({ name: dependency, status: 'missing', optional: false }));
+
+            runs.set(name, Promise.all(dependencyRuns).then(dependencies => {
+                const blocker = dependencies.find(dependency => dependency.status !== 'ready' && !dependency.optional);
+                if (blocker) {
+                    this.settle(entry, 'blocked', new Error(`dependency ${blocker.name} is ${blocker.status}`), onSettled);
+                    return entry;
+                }
+                return this.initializeEntry(entry, onStart, onSettled);
+            }));
+        });
+
+        await Promise.all(runs.values());
+        return this.getStatus();
+    }
+
+    async initializeEntry(entry, onStart, onSettled) {
+        if (!entry.instance) {
+            this.settle(entry, 'missing', new Error('instance not found'), onSettled);
+            return entry;
+        }
+
+        entry.status = 'initializing';
+        onStart(entry);
+        const startTime = performance.now();
+
+        try {
+            const result = entry.init ? await entry.init() : true;
+            entry.duration = performance.now() - startTime;
+            if (result === false) {
+                this.settle(entry, 'failed', new Error('init returned false'), onSettled);
+            } else {
+                this.settle(entry, 'ready', null, onSettled);
+            }
+        } catch (error) {
+            entry.duration = performance.now() - startTime;
+            this.settle(entry, 'failed', error, onSettled);
+        }
+
+        return entry;
+    }
+
+    settle(entry, status, error, onSettled) {
+        entry.status = status;
+        entry.error = error;
+        onSettled(entry);
+    }
+
+    getStatus() {
+        return Array.from(this.entries.values()).map(entry => ({
+            name: entry.name,
+            status: entry.status,
+            optional: entry.optional,
+            dependencies: entry.dependencies,
+            duration: Math.round(entry.duration),
+            error: entry.error ? entry.error.message : null
+        }));
+    }
+}
+
+window.SYSTEM_REGISTRY = new SystemRegistry();
+LOGGER.info('registry', '✅ System registry ready');
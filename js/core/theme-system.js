@@ -0,0 +1,103 @@
+// Runtime color themes exposed as CSS custom properties
+const THEMES = {
+    // Built from CONFIG.COLORS at init so config.json palette overrides apply
+    anomaly: {
+        label: 'ANOMALY PURPLE',
+        colors: null
+    },
+    phosphor: {
+        label: 'GREEN PHOSPHOR',
+        colors: {
+            ANOMALY_PURPLE: '#00AA44',
+            ENERGY_CYAN: '#33FF66',
+            RETRO_BLUE: '#004422',
+            GLITCH_GREEN: '#AAFF00',
+            WARNING_ORANGE: '#CCFF33',
+            DEEP_SPACE: '#000A02',
+            SIGNAL_BLUE: '#22CC55',
+            PLASMA_PINK: '#66FF99',
+            SPARK_YELLOW: '#CCFF66',
+            ALERT_RED: '#FF3300'
+        }
+    },
+    amber: {
+        label: 'AMBER CRT',
+        colors: {
+            ANOMALY_PURPLE: '#CC5500',
+            ENERGY_CYAN: '#FFB000',
+            RETRO_BLUE: '#442200',
+            GLITCH_GREEN: '#FFCC00',
+            WARNING_ORANGE: '#FF6600',
+            DEEP_SPACE: '#0D0700',
+            SIGNAL_BLUE: '#CC8800',
+            PLASMA_PINK: '#FF8844',
+            SPARK_YELLOW: '#FFE066',
+            ALERT_RED: '#FF2200'
+        }
+    }
+};
+
+class ThemeSystem {
+    constructor() {
+        this.themes = THEMES;
+        this.activeTheme = 'anomaly';
+    }
+
+    init() {
+        LOGGER.info('theme', '🎨 Initializing theme system...');
+
+        this.themes.anomaly.colors = { ...CONFIG.COLORS };
+        this.applyTheme(SETTINGS_STORE.get('theme'));
+
+        LOGGER.info('theme', `✅ Theme active: ${this.activeTheme}`);
+    }
+
+    applyTheme(name) {
+        if (!this.themes[name]) {
+            LOGGER.warn('theme', `⚠️ Unknown theme "${name}", falling back to anomaly`);
+            name = 'anomaly';
+        }
+
+        const colors = this.getPalette(name);
+        const root = document.documentElement.style;
+
+        Object.entries(colors).forEach(([key, hex]) => {
+            const property = `--color-${key.toLowerCase().replace(/_/g, '-')}`;
+            const { r, g, b } = Utils.hexToRgb(hex);
+            root.setProperty(property, hex);
+            root.setProperty(`${property}-rgb`, `${r}, ${g}, ${b}`);
+        });
+
+        this.activeTheme = name;
+        EVENT_BUS.emit('theme:changed', { name, colors });
+    }
+
+    setTheme(name) {
+        this.applyTheme(name);
+        SETTINGS_STORE.set('theme', this.activeTheme);
+        LOGGER.info('theme', `🎨 Theme set to: ${this.activeTheme}`);
+    }
+
+    // Themes may leave keys out; anything missing comes from the base palette
+    getPalette(name = this.activeTheme) {
+        const theme = this.themes[name] || this.themes.anomaly;
+        return { ...CONFIG.COLORS, ...(theme.colors || {}) };
+    }
+
+    getColor(key) {
+        return this.getPalette()[key] || CONFIG.COLORS[key] || null;
+    }
+
+    getThemeNames() {
+        return Object.keys(this.themes);
+    }
+
+    registerTheme(name, label, colors) {
+        this.themes[name] = { label, colors };
+    }
+}
+
+window.THEMES = THEMES;
+window.THEME_SYSTEM = new ThemeSystem();
+SYSTEM_REGISTRY.register('theme', window.THEME_SYSTEM, { dependencies: ['settings'] });
+LOGGER.info('theme', '✅ Theme system loaded');
@@ -1,102 +1,162 @@
-// Utility functions and helpers
-class Utils {
-    static async preloadImages(imagePaths) {
-        console.log(`🖼️ Preloading ${imagePaths.length} images...`);
-        const promises = imagePaths.map(path => {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.onload = () => {
-                    console.log(`✅ Loaded: ${path}`);
-                    resolve({ path, img, status: 'success' });
-                };
-                img.onerror = () => {
-                    console.warn(`❌ Failed: ${path}`);
-                    resolve({ path, img: null, status: 'error' });
-                };
-                img.src = path;
-            });
-        });
-        
-        const results = await Promise.allSettled(promises);
-        return results.map(result => result.value);
-    }
-
-    static async loadJSON(path) {
-        try {
-            const response = await fetch(path);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const data = await response.json();
-            console.log(`✅ Loaded config: ${path}`);
-            return data;
-        } catch (error) {
-            console.warn(`❌ Failed to load JSON: ${path}`, error);
-            return null;
-        }
-    }
-
-    static debounce(func, wait, immediate = false) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                if (!immediate) func(...args);
-            };
-            const callNow = immediate && !timeout;
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-            if (callNow) func(...args);
-        };
-    }
-
-    static getMouseDirection(startX, startY, endX, endY) {
-        const dx = endX - startX;
-        const dy = endY - startY;
-        const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-        
-        if (angle >= -45 && angle < 45) return 'east';
-        if (angle >= 45 && angle < 135) return 'south';
-        if (angle >= 135 || angle < -135) return 'west';
-        return 'north';
-    }
-
-    static isMobile() {
-        return window.innerWidth <= CONFIG.PERFORMANCE.MOBILE_THRESHOLD;
-    }
-
-    static clamp(value, min, max) {
-        return Math.min(Math.max(value, min), max);
-    }
-
-    static lerp(start, end, factor) {
-        return start + (end - start) * factor;
-    }
-
-    static randomBetween(min, max) {
-        return Math.random() * (max - min) + min;
-    }
-
-    static formatTime(ms) {
-        return `${(ms / 1000).toFixed(2)}s`;
-    }
-
-    static createGradientCSS(color1, color2, angle = 45) {
-        return `linear-gradient(${angle}deg, ${color1} 0%, ${color2} 100%)`;
-    }
-
-    static preloadAudio(audioPaths) {
-        return Promise.allSettled(
-            audioPaths.map(path => {
-                return new Promise((resolve, reject) => {
-                    const audio = new Audio();
-                    audio.preload = 'auto';
-                    audio.oncanplaythrough = () => resolve({ path, audio, status: 'success' });
-                    audio.onerror = () => resolve({ path, audio: null, status: 'error' });
-                    audio.src = path;
-                });
-            })
-        );
-    }
-}
-
-window.Utils = Utils;
-console.log('✅ Utils loaded with enhanced functionality');
\ No newline at end of file
+// Utility functions and helpers
+class Utils {
+    static async preloadImages(imagePaths) {
+        LOGGER.info('utils', `🖼️ Preloading ${imagePaths.length} images...`);
+        if (window.ASSET_LOADER) {
+            return window.ASSET_LOADER.loadImages(imagePaths);
+        }
+        
+        const promises = imagePaths.map(path => {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => {
+                    LOGGER.debug('utils', `✅ Loaded: ${path}`);
+                    resolve({ path, img, status: 'success' });
+                };
+                img.onerror = () => {
+                    LOGGER.warn('utils', `❌ Failed: ${path}`);
+                    resolve({ path, img: null, status: 'error' });
+                };
+                img.src = path;
+            });
+        });
+        
+        const results = await Promise.allSettled(promises);
+        return results.map(result => result.value);
+    }
+
+    static async loadJSON(path) {
+        try {
+            let data;
+            if (window.ASSET_LOADER) {
+                data = await window.ASSET_LOADER.loadJSON(path);
+                if (data === null) throw new Error('asset loader could not load file');
+            } else {
+                const response = await fetch(path);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                data = await response.json();
+            }
+            LOGGER.info('utils', `✅ Loaded config: ${path}`);
+            return data;
+        } catch (error) {
+            LOGGER.warn('utils', `❌ Failed to load JSON: ${path}`, error);
+            return null;
+        }
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static deepMerge(target, source) {
+        // Merges source into target in place so existing references stay valid
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            if (Utils.isPlainObject(value) && Utils.isPlainObject(target[key])) {
+                Utils.deepMerge(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    static debounce(func, wait, immediate = false) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                if (!immediate) func(...args);
+            };
+            const callNow = immediate && !timeout;
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+            if (callNow) func(...args);
+        };
+    }
+
+    static getMouseDirection(startX, startY, endX, endY) {
+        const dx = endX - startX;
+        const dy = endY - startY;
+        const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        
+        if (angle >= -45 && angle < 45) return 'east';
+        if (angle >= 45 && angle < 135) return 'south';
+        if (angle >= 135 || angle < -135) return 'west';
+        return 'north';
+    }
+
+    static isMobile() {
+        return window.innerWidth <= CONFIG.PERFORMANCE.MOBILE_THRESHOLD;
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    static lerp(start, end, factor) {
+        return start + (end - start) * factor;
+    }
+
+    static randomBetween(min, max) {
+        return Math.random() * (max - min) + min;
+    }
+
+    static formatTime(ms) {
+        return `${(ms / 1000).toFixed(2)}s`;
+    }
+
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    static hexToRgb(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(char => char + char).join('');
+        }
+        const number = parseInt(value, 16);
+        return {
+            r: (number >> 16) & 255,
+            g: (number >> 8) & 255,
+            b: number & 255
+        };
+    }
+
+    // Dark background tone that follows the active theme (percent of signal blue over deep space)
+    static themeShade(percent) {
+        return `color-mix(in srgb, var(--color-signal-blue) ${percent}%, var(--color-deep-space))`;
+    }
+
+    // Same blend as themeShade, resolved to rgb() for canvas fills that cannot read CSS variables
+    static themeShadeRGB(percent) {
+        const palette = window.THEME_SYSTEM ? THEME_SYSTEM.getPalette() : CONFIG.COLORS;
+        const signal = Utils.hexToRgb(palette.SIGNAL_BLUE);
+        const space = Utils.hexToRgb(palette.DEEP_SPACE);
+        const mix = (a, b) => Math.round(Utils.lerp(b, a, percent / 100));
+        return `rgb(${mix(signal.r, space.r)}, ${mix(signal.g, space.g)}, ${mix(signal.b, space.b)})`;
+    }
+
+    static createGradientCSS(color1, color2, angle = 45) {
+        return `linear-gradient(${angle}deg, ${color1} 0%, ${color2} 100%)`;
+    }
+
+    static preloadAudio(audioPaths) {
+        return Promise.allSettled(
+            audioPaths.map(path => {
+                return new Promise((resolve, reject) => {
+                    const audio = new Audio();
+                    audio.preload = 'auto';
+                    audio.oncanplaythrough = () => resolve({ path, audio, status: 'success' });
+                    audio.onerror = () => resolve({ path, audio: null, status: 'error' });
+                    audio.src = path;
+                });
+            })
+        );
+    }
+}
+
+window.Utils = Utils;
+LOGGER.info('utils', '✅ Utils loaded with enhanced functionality');
\ No newline at end of file
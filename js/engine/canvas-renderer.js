@@ -0,0 +1,244 @@
+// Optional canvas render backend: draws the scene into a native 320x240 buffer and upscales by whole device pixels
+const RENDER_BACKENDS = ['dom', 'canvas'];
+
+class CanvasRenderer {
+    constructor() {
+        this.canvas = null;
+        this.context = null;
+        this.backend = 'dom';
+        this.active = false;
+
+        this.trail = [];
+        this.effects = [];
+        this.effectDuration = 600;
+    }
+
+    get width() {
+        return PIXEL_SCALER.baseWidth;
+    }
+
+    get height() {
+        return PIXEL_SCALER.baseHeight;
+    }
+
+    init() {
+        LOGGER.info('display', '🖼️ Initializing canvas renderer...');
+
+        if (!this.createCanvas()) {
+            LOGGER.warn('display', '⚠️ 2D canvas unavailable, staying on the DOM renderer');
+            return false;
+        }
+
+        // The mapper re-measures after every scale change and raw resize, its offsets place the canvas
+        EVENT_BUS.on('viewport:changed', () => this.layout());
+        EVENT_BUS.on('pointer:down', ({ x, y }) => {
+            if (this.active) {
+                const point = COORDINATE_MAPPER.toGame(x, y);
+                this.effects.push({ x: point.x, y: point.y, age: 0 });
+            }
+        });
+
+        // Drawn after every other system has rendered its state
+        GAME_LOOP.registerSystem('renderer', this, { priority: 100 });
+
+        const fromQuery = new URLSearchParams(window.location.search).get('renderer');
+        this.applyBackend(RENDER_BACKENDS.includes(fromQuery) ? fromQuery : SETTINGS_STORE.get('renderer'));
+
+        LOGGER.info('display', `✅ Canvas renderer ready (backend: ${this.backend})`);
+        return true;
+    }
+
+    createCanvas() {
+        const container = document.getElementById('game-container');
+        if (!container) return false;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'game-canvas hidden';
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) return false;
+
+        // Below the CRT overlay so scanlines still sit on top of the scene
+        container.insertBefore(this.canvas, container.firstChild);
+        return true;
+    }
+
+    applyBackend(backend) {
+        this.backend = backend === 'canvas' && this.context ? 'canvas' : 'dom';
+        this.active = this.backend === 'canvas';
+
+        document.body.classList.toggle('canvas-renderer', this.active);
+        if (this.canvas) {
+            this.canvas.classList.toggle('hidden', !this.active);
+        }
+        PIXEL_SCALER.setBackend(this.backend);
+
+        this.trail = [];
+        this.effects = [];
+        this.layout();
+    }
+
+    setBackend(backend) {
+        this.applyBackend(backend);
+        SETTINGS_STORE.set('renderer', this.backend);
+        LOGGER.info('display', `🖼️ Render backend set to: ${this.backend}`);
+    }
+
+    getBackends() {
+        return RENDER_BACKENDS;
+    }
+
+    // PixelScaler keeps the upscale integer while this backend is active, the leftover space becomes letterbox bars;
+    // explicit offsets instead of CSS centering, which lands on half pixels when the bars are odd
+    layout() {
+        if (!this.canvas) return;
+
+        const { left, top } = COORDINATE_MAPPER.getViewport();
+        this.canvas.style.width = `${this.width * PIXEL_SCALER.scaleX}px`;
+        this.canvas.style.height = `${this.height * PIXEL_SCALER.scaleY}px`;
+        this.canvas.style.left = `${left}px`;
+        this.canvas.style.top = `${top}px`;
+    }
+
+    getImage(path) {
+        return path ? ASSET_LOADER.getCached('image', path) : null;
+    }
+
+    // Effects age in game time, so click rings hold while the loop is paused
+    update(deltaTime) {
+        this.effects.forEach(effect => {
+            effect.age += deltaTime;
+        });
+        this.effects = this.effects.filter(effect => effect.age < this.effectDuration);
+    }
+
+    render(alpha) {
+        if (!this.active) return;
+
+        const ctx = this.context;
+        ctx.imageSmoothingEnabled = false;
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = THEME_SYSTEM.getColor('DEEP_SPACE');
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        this.drawParallax(alpha);
+        this.drawCharacter();
+        this.drawEffects();
+        this.drawCursor();
+    }
+
+    drawParallax(alpha) {
+        const ctx = this.context;
+
+        PARALLAX_SYSTEM.getRenderLayers(alpha).forEach(({ offsetX, offsetY, art }) => {
+            ctx.save();
+            ctx.globalAlpha = art.opacity !== undefined ? art.opacity : 1;
+            ctx.translate(Math.round(offsetX), Math.round(offsetY));
+
+            if (art.shade !== undefined) {
+                ctx.fillStyle = Utils.themeShadeRGB(art.shade);
+                ctx.fillRect(0, 0, this.width, this.height);
+            }
+
+            const cover = this.getImage(ASSET_MANIFEST.getBackground(art.cover));
+            if (cover) {
+                ctx.globalCompositeOperation = art.blend || 'source-over';
+                this.drawCover(cover);
+            }
+
+            (art.sprites || []).forEach(sprite => {
+                const image = this.getImage(ASSET_MANIFEST.getBackground(sprite.key));
+                if (!image) return;
+
+                const width = image.width * sprite.scale;
+                const height = image.height * sprite.scale;
+                ctx.drawImage(image,
+                    Math.round(sprite.x * (this.width - width)),
+                    Math.round(sprite.y * (this.height - height)),
+                    width, height);
+            });
+
+            ctx.restore();
+        });
+    }
+
+    drawCover(image) {
+        const scale = Math.max(this.width / image.width, this.height / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        this.context.drawImage(image, (this.width - width) / 2, (this.height - height) / 2, width, height);
+    }
+
+    drawCharacter() {
+        const image = this.getImage(CHARACTER_SYSTEM.getRenderFrame());
+        const x = Math.round((this.width - (image ? image.width : 16)) / 2);
+        const y = Math.round((this.height - (image ? image.height : 16)) / 2);
+
+        if (image) {
+            this.context.drawImage(image, x, y);
+        } else {
+            this.context.fillStyle = THEME_SYSTEM.getColor('ENERGY_CYAN');
+            this.context.fillRect(x, y, 16, 16);
+        }
+    }
+
+    drawEffects() {
+        const ctx = this.context;
+
+        ctx.strokeStyle = THEME_SYSTEM.getColor('SPARK_YELLOW');
+        ctx.lineWidth = 1;
+        this.effects.forEach(effect => {
+            const progress = effect.age / this.effectDuration;
+            ctx.globalAlpha = 1 - progress;
+            ctx.beginPath();
+            ctx.arc(Math.round(effect.x), Math.round(effect.y), 2 + progress * 10, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawCursor() {
+        const ctx = this.context;
+        const { x, y } = COORDINATE_MAPPER.toGame(CURSOR_SYSTEM.lastPosition.x, CURSOR_SYSTEM.lastPosition.y);
+        const point = { x: Math.round(x), y: Math.round(y) };
+
+        const last = this.trail[0];
+        if (!last || last.x !== point.x || last.y !== point.y) {
+            this.trail.unshift(point);
+        }
+        this.trail.length = Math.min(this.trail.length, CURSOR_SYSTEM.getTrailCount() + 1);
+
+        ctx.fillStyle = THEME_SYSTEM.getColor('ENERGY_CYAN');
+        this.trail.slice(1).forEach((dot, index) => {
+            ctx.globalAlpha = 0.6 * (1 - index / this.trail.length);
+            ctx.fillRect(dot.x - 1, dot.y - 1, 2, 2);
+        });
+        ctx.globalAlpha = 1;
+
+        const image = this.getImage(ASSET_MANIFEST.getCursor(CURSOR_SYSTEM.currentState));
+        if (image) {
+            ctx.drawImage(image, point.x - Math.floor(image.width / 2), point.y - Math.floor(image.height / 2));
+        } else {
+            ctx.fillRect(point.x - 1, point.y - 1, 3, 3);
+        }
+    }
+
+    getState() {
+        return {
+            backend: this.backend,
+            active: this.active,
+            scale: PIXEL_SCALER.describe(),
+            resolution: `${this.width}x${this.height}`
+        };
+    }
+}
+
+window.RENDER_BACKENDS = RENDER_BACKENDS;
+window.CANVAS_RENDERER = new CanvasRenderer();
+SYSTEM_REGISTRY.register('renderer', window.CANVAS_RENDERER, {
+    dependencies: ['gameLoop', 'pixelScaling', 'coordinates', 'settings', 'theme', 'parallax', 'character', 'cursor'],
+    optional: true
+});
+LOGGER.info('display', '✅ Canvas renderer loaded');
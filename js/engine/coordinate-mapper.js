@@ -0,0 +1,118 @@
+// Single conversion point between client (viewport CSS) pixels and game-space pixels
+class CoordinateMapper {
+    constructor() {
+        // Game space is the DOM scene's unscaled layout, or the canvas backend's native buffer
+        this.viewport = {
+            backend: 'dom',
+            scaleX: 1,
+            scaleY: 1,
+            left: 0,
+            top: 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            dpr: window.devicePixelRatio || 1
+        };
+    }
+
+    init() {
+        LOGGER.info('input', '📐 Initializing coordinate mapper...');
+
+        // PixelScaler re-lays out on a debounce, the raw resize keeps DOM-space widths current meanwhile
+        window.addEventListener('resize', () => this.refresh());
+        EVENT_BUS.on('display:scale-changed', () => this.refresh());
+        this.refresh();
+
+        LOGGER.info('input', `✅ Coordinate mapper ready (${this.describe()})`);
+        return true;
+    }
+
+    // Re-measure after anything that moves or scales the scene: resize, scale or backend changes
+    refresh() {
+        this.viewport = this.measure();
+        EVENT_BUS.emit('viewport:changed', { ...this.viewport });
+        return this.viewport;
+    }
+
+    measure() {
+        const { scaleX, scaleY, dpr, backend } = PIXEL_SCALER;
+
+        if (backend === 'canvas') {
+            // The buffer is centered in the viewport on whole device pixels, the rest is letterbox
+            return {
+                backend,
+                scaleX,
+                scaleY,
+                left: this.toDevicePixel((window.innerWidth - PIXEL_SCALER.baseWidth * scaleX) / 2, dpr),
+                top: this.toDevicePixel((window.innerHeight - PIXEL_SCALER.baseHeight * scaleY) / 2, dpr),
+                width: PIXEL_SCALER.baseWidth,
+                height: PIXEL_SCALER.baseHeight,
+                dpr
+            };
+        }
+
+        // The body is scaled from its top-left corner, so the scene fills the viewport
+        return {
+            backend,
+            scaleX,
+            scaleY,
+            left: 0,
+            top: 0,
+            width: window.innerWidth / scaleX,
+            height: window.innerHeight / scaleY,
+            dpr
+        };
+    }
+
+    getViewport() {
+        return this.viewport;
+    }
+
+    // nx/ny are 0-1 across the game area; inside is false over letterbox bars
+    toGame(clientX, clientY) {
+        const { scaleX, scaleY, left, top, width, height } = this.viewport;
+        const x = (clientX - left) / scaleX;
+        const y = (clientY - top) / scaleY;
+
+        return {
+            x,
+            y,
+            nx: x / width,
+            ny: y / height,
+            inside: x >= 0 && y >= 0 && x < width && y < height
+        };
+    }
+
+    toClient(x, y) {
+        const { scaleX, scaleY, left, top } = this.viewport;
+        return {
+            x: x * scaleX + left,
+            y: y * scaleY + top
+        };
+    }
+
+    // Mouse or touch event to game space, using the first touch point
+    fromEvent(e) {
+        const point = e.touches && e.touches.length > 0 ? e.touches[0] : e;
+        return this.toGame(point.clientX, point.clientY);
+    }
+
+    toDevicePixel(value, dpr) {
+        return Math.round(value * dpr) / dpr;
+    }
+
+    // Nearest game coordinate that lands on a whole device pixel once scaled
+    snap(value, axis = 'x') {
+        const scale = axis === 'y' ? this.viewport.scaleY : this.viewport.scaleX;
+        const step = scale * this.viewport.dpr;
+        return Math.round(value * step) / step;
+    }
+
+    describe() {
+        const { backend, width, height } = this.viewport;
+        return `${backend} ${Math.round(width)}x${Math.round(height)}, ${PIXEL_SCALER.describe()}`;
+    }
+}
+
+window.COORDINATE_MAPPER = new CoordinateMapper();
+SYSTEM_REGISTRY.register('coordinates', window.COORDINATE_MAPPER, { dependencies: ['pixelScaling'] });
+LOGGER.info('input', '✅ Coordinate mapper loaded');
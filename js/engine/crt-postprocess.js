@@ -0,0 +1,240 @@
+// WebGL CRT post-process: full pass over the canvas backend's buffer (the DOM backend keeps the CSS overlay)
+const CRT_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const CRT_FRAGMENT_SHADER = `
+precision mediump float;
+
+varying vec2 v_uv;
+uniform sampler2D u_source;
+uniform vec2 u_resolution;
+uniform vec2 u_sourceSize;
+uniform float u_lines;
+uniform float u_time;
+uniform float u_scanlines;
+uniform float u_curvature;
+uniform float u_aberration;
+uniform float u_bloom;
+uniform float u_noise;
+uniform float u_glitch;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec2 curve(vec2 uv) {
+    vec2 centered = uv * 2.0 - 1.0;
+    centered *= 1.0 + u_curvature * 0.25 * (centered.yx * centered.yx);
+    return centered * 0.5 + 0.5;
+}
+
+vec3 sampleSource(vec2 uv) {
+    vec2 shift = vec2(u_aberration * 1.5 / u_sourceSize.x, 0.0);
+    return vec3(
+        texture2D(u_source, uv + shift).r,
+        texture2D(u_source, uv).g,
+        texture2D(u_source, uv - shift).b
+    );
+}
+
+void main() {
+    vec2 uv = curve(v_uv);
+
+    // Glitch: short bursts that tear a few horizontal bands sideways
+    float band = floor(uv.y * 24.0);
+    float tick = floor(u_time * 8.0);
+    float burst = step(1.0 - u_glitch * 0.12, hash(vec2(band, tick)));
+    uv.x += burst * (hash(vec2(tick, band)) - 0.5) * 0.04 * u_glitch;
+
+    float scan = 0.5 + 0.5 * cos(uv.y * u_lines * 6.28318);
+    float darkness = u_scanlines * (1.0 - scan);
+    darkness += smoothstep(0.45, 0.85, length(uv - 0.5)) * 0.6;
+    float grain = (hash(uv * u_resolution + fract(u_time)) - 0.5) * u_noise;
+
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+
+    vec3 color = sampleSource(uv);
+
+    // Cheap bloom: bright neighbours bleed into this texel
+    vec2 texel = 1.0 / u_sourceSize;
+    vec3 glow = (sampleSource(uv + vec2(texel.x, 0.0)) + sampleSource(uv - vec2(texel.x, 0.0)) +
+                 sampleSource(uv + vec2(0.0, texel.y)) + sampleSource(uv - vec2(0.0, texel.y))) * 0.25;
+    color += max(glow - 0.5, 0.0) * u_bloom * 2.0;
+
+    gl_FragColor = vec4(color * (1.0 - darkness) + grain, 1.0);
+}
+`;
+
+class CRTPostProcess {
+    constructor() {
+        this.canvas = null;
+        this.gl = null;
+        this.program = null;
+        this.texture = null;
+        this.uniforms = {};
+        this.source = null;
+        this.visible = false;
+        this.onContextLost = null;
+
+        // Uniform name -> CONFIG.CRT key
+        this.parameterKeys = {
+            scanlines: 'SCANLINES',
+            curvature: 'CURVATURE',
+            aberration: 'CHROMATIC_ABERRATION',
+            bloom: 'BLOOM',
+            noise: 'NOISE',
+            glitch: 'GLITCH'
+        };
+    }
+
+    init(container) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'crt-canvas hidden';
+
+        try {
+            this.gl = this.canvas.getContext('webgl', { premultipliedAlpha: false, antialias: false });
+        } catch (error) {
+            this.gl = null;
+        }
+        if (!this.gl || !this.createProgram()) {
+            this.gl = null;
+            return false;
+        }
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.gl = null;
+            if (this.onContextLost) this.onContextLost();
+        });
+
+        container.appendChild(this.canvas);
+        return true;
+    }
+
+    createProgram() {
+        const gl = this.gl;
+        const vertex = this.compileShader(gl.VERTEX_SHADER, CRT_VERTEX_SHADER);
+        const fragment = this.compileShader(gl.FRAGMENT_SHADER, CRT_FRAGMENT_SHADER);
+        if (!vertex || !fragment) return false;
+
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, vertex);
+        gl.attachShader(this.program, fragment);
+        gl.linkProgram(this.program);
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            LOGGER.warn('crt', '⚠️ CRT shader link failed:', gl.getProgramInfoLog(this.program));
+            return false;
+        }
+        gl.useProgram(this.program);
+
+        // One triangle pair covering the viewport
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(this.program, 'a_position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        ['u_source', 'u_resolution', 'u_sourceSize', 'u_lines', 'u_time',
+            'u_scanlines', 'u_curvature', 'u_aberration', 'u_bloom', 'u_noise', 'u_glitch'
+        ].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        });
+
+        // Non power-of-two buffers need clamping and no mipmaps in WebGL 1
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.uniform1i(this.uniforms.u_source, 0);
+        return true;
+    }
+
+    compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            LOGGER.warn('crt', '⚠️ CRT shader compile failed:', gl.getShaderInfoLog(shader));
+            return null;
+        }
+        return shader;
+    }
+
+    setVisible(visible) {
+        this.visible = !!visible && !!this.gl;
+        if (this.canvas) {
+            this.canvas.classList.toggle('hidden', !this.visible);
+        }
+        if (!this.visible) {
+            this.setSource(null);
+        }
+    }
+
+    // The pass replaces the source canvas on screen
+    setSource(source) {
+        if (source === this.source) return;
+
+        if (this.source) this.source.classList.remove('crt-source');
+        this.source = source;
+        if (this.source) this.source.classList.add('crt-source');
+    }
+
+    resize() {
+        this.canvas.style.width = this.source.style.width;
+        this.canvas.style.height = this.source.style.height;
+        this.canvas.style.left = this.source.style.left;
+        this.canvas.style.top = this.source.style.top;
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(this.canvas.clientWidth * dpr));
+        const height = Math.max(1, Math.round(this.canvas.clientHeight * dpr));
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    render(source, time) {
+        if (!this.visible || !this.gl || !source) return;
+
+        const gl = this.gl;
+        this.setSource(source);
+        this.resize();
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.uniform2f(this.uniforms.u_resolution, this.canvas.width, this.canvas.height);
+        gl.uniform1f(this.uniforms.u_time, time / 1000);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.source);
+        gl.uniform2f(this.uniforms.u_sourceSize, this.source.width, this.source.height);
+        gl.uniform1f(this.uniforms.u_lines, this.source.height);
+
+        Object.entries(this.parameterKeys).forEach(([name, key]) => {
+            gl.uniform1f(this.uniforms[`u_${name}`], CONFIG.CRT[key]);
+        });
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+}
+
+window.CRT_POSTPROCESS = new CRTPostProcess();
+LOGGER.info('crt', '✅ CRT post-process loaded');
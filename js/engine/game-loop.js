@@ -1,127 +1,372 @@
-// Main game loop and system coordination
-class GameLoop {
-    constructor() {
-        this.isRunning = false;
-        this.lastTime = 0;
-        this.accumulator = 0;
-        this.deltaTime = 1000 / PERFORMANCE_DETECTOR.supportedFPS;
-        this.systems = new Map();
-        this.frameCount = 0;
-        this.fps = 0;
-        this.lastFpsUpdate = 0;
-    }
-
-    start() {
-        if (this.isRunning) {
-            console.warn('⚠️ Game loop already running');
-            return;
-        }
-        
-        this.isRunning = true;
-        this.lastTime = performance.now();
-        this.frameCount = 0;
-        this.lastFpsUpdate = this.lastTime;
-        
-        console.log(`🎮 Starting game loop at ${PERFORMANCE_DETECTOR.supportedFPS} FPS`);
-        this.gameLoop();
-    }
-
-    stop() {
-        this.isRunning = false;
-        console.log('⏹️ Game loop stopped');
-    }
-
-    registerSystem(name, system) {
-        this.systems.set(name, system);
-        console.log(`🔧 Registered system: ${name}`);
-    }
-
-    unregisterSystem(name) {
-        this.systems.delete(name);
-        console.log(`🗑️ Unregistered system: ${name}`);
-    }
-
-    gameLoop(currentTime = performance.now()) {
-        if (!this.isRunning) return;
-
-        // Calculate delta time
-        let deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
-
-        // Prevent spiral of death
-        deltaTime = Math.min(deltaTime, 100);
-
-        // Update FPS counter
-        this.updateFPS(currentTime);
-
-        // Fixed timestep update
-        this.accumulator += deltaTime;
-
-        while (this.accumulator >= this.deltaTime) {
-            this.update(this.deltaTime);
-            this.accumulator -= this.deltaTime;
-        }
-
-        // Render
-        this.render();
-
-        this.frameCount++;
-        requestAnimationFrame(this.gameLoop.bind(this));
-    }
-
-    update(deltaTime) {
-        // Update all registered systems
-        this.systems.forEach((system, name) => {
-            if (system.update && typeof system.update === 'function') {
-                try {
-                    system.update(deltaTime);
-                } catch (error) {
-                    console.error(`❌ Error updating system ${name}:`, error);
-                }
-            }
-        });
-    }
-
-    render() {
-        // Render all registered systems
-        this.systems.forEach((system, name) => {
-            if (system.render && typeof system.render === 'function') {
-                try {
-                    system.render();
-                } catch (error) {
-                    console.error(`❌ Error rendering system ${name}:`, error);
-                }
-            }
-        });
-    }
-
-    updateFPS(currentTime) {
-        if (currentTime - this.lastFpsUpdate >= 1000) {
-            this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastFpsUpdate));
-            this.frameCount = 0;
-            this.lastFpsUpdate = currentTime;
-            
-            // Log FPS occasionally for debugging
-            if (this.fps < PERFORMANCE_DETECTOR.supportedFPS - 10) {
-                console.warn(`📉 Low FPS: ${this.fps}`);
-            }
-        }
-    }
-
-    getStats() {
-        return {
-            fps: this.fps,
-            systems: this.systems.size,
-            running: this.isRunning,
-            frameCount: this.frameCount
-        };
-    }
-
-    setFPS(fps) {
-        this.deltaTime = 1000 / fps;
-        console.log(`🎯 FPS target changed to: ${fps}`);
-    }
-}
-
-window.GAME_LOOP = new GameLoop();
-console.log('✅ Game loop engine ready');
\ No newline at end of file
+// Main game loop and system coordination
+
+// Fixed ticks run every phase but render; render runs once per display frame
+const LOOP_PHASES = ['input', 'preUpdate', 'update', 'lateUpdate', 'render'];
+
+class GameLoop {
+    constructor() {
+        this.isRunning = false;
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.deltaTime = 1000 / PERFORMANCE_DETECTOR.supportedFPS;
+        this.systems = new Map();
+        this.schedule = [];
+        this.registrationCount = 0;
+        this.frameCount = 0;
+        this.fps = 0;
+        this.lastFpsUpdate = 0;
+
+        // Game time only advances while unpaused and runs at timeScale
+        this.timeScale = 1;
+        this.minTimeScale = 0.1;
+        this.maxTimeScale = 4;
+        this.gameTime = 0;
+        this.tickCount = 0;
+        this.pauseReasons = new Set();
+        this.frameObservers = new Set();
+
+        // Per-system phase durations, only measured while profiling is on
+        this.profiling = false;
+        this.systemTimings = new Map();
+        this.timingSmoothing = 0.1;
+
+        // Circuit breaker: a system failing this many calls in a row in one phase is switched off
+        this.faultThreshold = 5;
+        this.faults = new Map();
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        });
+    }
+
+    get isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    // The detector's measured device tier may have changed the target since construction
+    init() {
+        this.setFPS(PERFORMANCE_DETECTOR.supportedFPS);
+    }
+
+    start() {
+        if (this.isRunning) {
+            LOGGER.warn('loop', '⚠️ Game loop already running');
+            return;
+        }
+        
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this.frameCount = 0;
+        this.lastFpsUpdate = this.lastTime;
+        
+        LOGGER.info('loop', `🎮 Starting game loop at ${PERFORMANCE_DETECTOR.supportedFPS} FPS`);
+        this.gameLoop();
+    }
+
+    stop() {
+        this.isRunning = false;
+        LOGGER.info('loop', '⏹️ Game loop stopped');
+    }
+
+    // Each reason holds the pause until it is resumed, so a debug pause survives tab switches
+    pause(reason = 'manual') {
+        const wasPaused = this.isPaused;
+        this.pauseReasons.add(reason);
+        
+        if (!wasPaused) {
+            this.accumulator = 0;
+            EVENT_BUS.emit('loop:paused', { reason });
+            LOGGER.info('loop', `⏸️ Game loop paused (${reason})`);
+        }
+    }
+
+    resume(reason = 'manual') {
+        if (!this.pauseReasons.delete(reason) || this.isPaused) return;
+        
+        // Drop the time spent paused instead of replaying it as one long frame
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        EVENT_BUS.emit('loop:resumed', { reason });
+        LOGGER.info('loop', `▶️ Game loop resumed (${reason})`);
+    }
+
+    togglePause() {
+        if (this.pauseReasons.has('manual')) {
+            this.resume('manual');
+        } else {
+            this.pause('manual');
+        }
+        return this.isPaused;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Utils.clamp(scale, this.minTimeScale, this.maxTimeScale);
+        EVENT_BUS.emit('loop:time-scale', { timeScale: this.timeScale });
+        LOGGER.info('loop', `⏱️ Time scale set to: ${this.timeScale}x`);
+        return this.timeScale;
+    }
+
+    // Advances exactly one fixed tick (scaled by timeScale) and pauses the loop if needed
+    step() {
+        if (!this.isPaused) {
+            this.pause('manual');
+        }
+        
+        this.tick(this.deltaTime * this.timeScale);
+        this.render(1);
+        LOGGER.debug('loop', `⏭️ Stepped to tick ${this.tickCount} (${Math.round(this.gameTime)}ms game time)`);
+        return this.tickCount;
+    }
+
+    tick(deltaTime) {
+        this.gameTime += deltaTime;
+        this.tickCount++;
+        this.update(deltaTime);
+    }
+
+    // Lower priority runs first within each phase, ties keep registration order
+    registerSystem(name, system, options = {}) {
+        const { priority = 0 } = options;
+
+        this.systems.set(name, system);
+        this.schedule = this.schedule.filter(entry => entry.name !== name);
+        this.schedule.push({ name, system, priority, order: this.registrationCount++ });
+        this.schedule.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+        const phases = LOOP_PHASES.filter(phase => typeof system[phase] === 'function');
+        LOGGER.debug('loop', `🔧 Registered system: ${name} (priority ${priority}, phases: ${phases.join(', ') || 'none'})`);
+    }
+
+    unregisterSystem(name) {
+        this.systems.delete(name);
+        this.faults.delete(name);
+        this.schedule = this.schedule.filter(entry => entry.name !== name);
+        LOGGER.debug('loop', `🗑️ Unregistered system: ${name}`);
+    }
+
+    // Observers get the raw display frame time before clamping, once per requestAnimationFrame
+    onFrame(callback) {
+        this.frameObservers.add(callback);
+        return () => this.frameObservers.delete(callback);
+    }
+
+    getSchedule() {
+        return this.schedule.map(({ name, priority, system }) => ({
+            name,
+            priority,
+            phases: LOOP_PHASES.filter(phase => typeof system[phase] === 'function')
+        }));
+    }
+
+    gameLoop(currentTime = performance.now()) {
+        if (!this.isRunning) return;
+
+        // Calculate delta time
+        let deltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        // A throwing observer must not stop the loop before the next frame is requested
+        this.frameObservers.forEach(callback => {
+            try {
+                callback(deltaTime);
+            } catch (error) {
+                LOGGER.error('loop', '❌ Error in frame observer:', error);
+            }
+        });
+
+        // Prevent spiral of death
+        deltaTime = Math.min(deltaTime, 100);
+
+        // Update FPS counter
+        this.updateFPS(currentTime);
+
+        // Fixed timestep update, systems receive the step scaled into game time
+        if (!this.isPaused) {
+            this.accumulator += deltaTime;
+
+            while (this.accumulator >= this.deltaTime) {
+                this.tick(this.deltaTime * this.timeScale);
+                this.accumulator -= this.deltaTime;
+            }
+        }
+
+        // Render with the fraction of a tick left in the accumulator, paused frames show the latest tick
+        this.render(this.isPaused ? 1 : this.accumulator / this.deltaTime);
+
+        this.frameCount++;
+        requestAnimationFrame(this.gameLoop.bind(this));
+    }
+
+    update(deltaTime) {
+        this.runPhase('input', deltaTime);
+        this.runPhase('preUpdate', deltaTime);
+        this.runPhase('update', deltaTime);
+        this.runPhase('lateUpdate', deltaTime);
+    }
+
+    render(alpha = 1) {
+        this.runPhase('render', alpha);
+    }
+
+    runPhase(phase, arg) {
+        this.schedule.forEach(({ name, system }) => {
+            if (typeof system[phase] !== 'function') return;
+
+            const fault = this.faults.get(name);
+            if (fault && fault.disabled) return;
+
+            const startTime = this.profiling ? performance.now() : 0;
+            try {
+                system[phase](arg);
+                if (fault) fault.streaks[phase] = 0;
+            } catch (error) {
+                this.recordFailure(name, phase, error);
+            }
+            if (this.profiling) {
+                this.recordTiming(name, phase, performance.now() - startTime);
+            }
+        });
+    }
+
+    getFault(name) {
+        if (!this.faults.has(name)) {
+            this.faults.set(name, {
+                disabled: false,
+                totalErrors: 0,
+                streaks: {},
+                lastError: null,
+                lastPhase: null
+            });
+        }
+        return this.faults.get(name);
+    }
+
+    // Only the first failure of a streak is logged so a broken system cannot flood the console
+    recordFailure(name, phase, error) {
+        const fault = this.getFault(name);
+        const streak = (fault.streaks[phase] || 0) + 1;
+
+        fault.streaks[phase] = streak;
+        fault.totalErrors++;
+        fault.lastError = error;
+        fault.lastPhase = phase;
+
+        if (streak === 1) {
+            LOGGER.error('loop', `❌ Error in ${phase} of system ${name}:`, error);
+        }
+        if (streak >= this.faultThreshold) {
+            this.disableSystem(name, error);
+        }
+    }
+
+    disableSystem(name, error = null) {
+        if (!this.systems.has(name)) return false;
+
+        const fault = this.getFault(name);
+        if (fault.disabled) return true;
+
+        fault.disabled = true;
+        const phase = fault.lastPhase || 'manual';
+        EVENT_BUS.emit('loop:system-disabled', { name, phase, error });
+        LOGGER.error('loop', `🛑 System ${name} disabled after ${fault.totalErrors} error(s) in ${phase}`, error);
+        return true;
+    }
+
+    // Re-enable after a fix; counters start over so the breaker can trip again if it still fails
+    enableSystem(name) {
+        const fault = this.faults.get(name);
+        if (!fault || !fault.disabled) return false;
+
+        this.faults.delete(name);
+        EVENT_BUS.emit('loop:system-enabled', { name });
+        LOGGER.info('loop', `♻️ System ${name} re-enabled`);
+        return true;
+    }
+
+    isSystemDisabled(name) {
+        const fault = this.faults.get(name);
+        return !!(fault && fault.disabled);
+    }
+
+    getFaults() {
+        return Array.from(this.faults.entries()).map(([name, fault]) => ({
+            name,
+            disabled: fault.disabled,
+            totalErrors: fault.totalErrors,
+            phase: fault.lastPhase,
+            error: fault.lastError ? fault.lastError.message : null
+        }));
+    }
+
+    recordTiming(name, phase, duration) {
+        if (!this.systemTimings.has(name)) {
+            this.systemTimings.set(name, {});
+        }
+
+        const timings = this.systemTimings.get(name);
+        const previous = timings[phase];
+        timings[phase] = previous === undefined ?
+            duration :
+            Utils.lerp(previous, duration, this.timingSmoothing);
+    }
+
+    setProfiling(enabled) {
+        this.profiling = !!enabled;
+        this.systemTimings.clear();
+        LOGGER.info('loop', this.profiling ? '⏱️ System profiling enabled' : '⏱️ System profiling disabled');
+    }
+
+    // Smoothed ms per call; fixed-tick phases are summed into update
+    getSystemTimings() {
+        return Array.from(this.systemTimings.entries()).map(([name, timings]) => ({
+            name,
+            disabled: this.isSystemDisabled(name),
+            update: ['input', 'preUpdate', 'update', 'lateUpdate']
+                .reduce((sum, phase) => sum + (timings[phase] || 0), 0),
+            render: timings.render || 0
+        }));
+    }
+
+    updateFPS(currentTime) {
+        if (currentTime - this.lastFpsUpdate >= 1000) {
+            this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastFpsUpdate));
+            this.frameCount = 0;
+            this.lastFpsUpdate = currentTime;
+            
+            // Log FPS occasionally for debugging
+            if (this.fps < PERFORMANCE_DETECTOR.supportedFPS - 10) {
+                LOGGER.warn('loop', `📉 Low FPS: ${this.fps}`);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            fps: this.fps,
+            systems: this.systems.size,
+            running: this.isRunning,
+            paused: this.isPaused,
+            disabledSystems: this.getFaults().filter(fault => fault.disabled).map(fault => fault.name),
+            pauseReasons: Array.from(this.pauseReasons),
+            timeScale: this.timeScale,
+            gameTime: Math.round(this.gameTime),
+            tickCount: this.tickCount,
+            frameCount: this.frameCount,
+            qualityTier: window.QUALITY_GOVERNOR ? window.QUALITY_GOVERNOR.tier.name : null
+        };
+    }
+
+    setFPS(fps) {
+        this.deltaTime = 1000 / fps;
+        LOGGER.info('loop', `🎯 FPS target changed to: ${fps}`);
+    }
+}
+
+window.LOOP_PHASES = LOOP_PHASES;
+window.GAME_LOOP = new GameLoop();
+SYSTEM_REGISTRY.register('gameLoop', window.GAME_LOOP, { dependencies: ['performance'] });
+LOGGER.info('loop', '✅ Game loop engine ready');
\ No newline at end of file
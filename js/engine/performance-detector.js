@@ -1,111 +1,316 @@
-// Device capability detection and optimization
-class PerformanceDetector {
-    constructor() {
-        this.isMobile = Utils.isMobile();
-        this.supportedFPS = this.isMobile ? 
-            CONFIG.PERFORMANCE.MOBILE_FPS : 
-            CONFIG.PERFORMANCE.DESKTOP_FPS;
-        
-        this.capabilities = {};
-        this.detectCapabilities();
-    }
-
-    detectCapabilities() {
-        this.capabilities = {
-            webgl: this.detectWebGL(),
-            webgl2: this.detectWebGL2(),
-            audio: this.detectAudio(),
-            animation: this.testAnimationPerformance(),
-            touch: this.detectTouch(),
-            storage: this.detectStorage(),
-            workers: this.detectWorkers()
-        };
-        
-        console.log('📊 Performance capabilities detected:', {
-            device: this.isMobile ? 'mobile' : 'desktop',
-            fps: this.supportedFPS,
-            ...this.capabilities
-        });
-    }
-
-    detectWebGL() {
-        try {
-            const canvas = document.createElement('canvas');
-            return !!(window.WebGLRenderingContext && 
-                     (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
-        } catch (e) {
-            return false;
-        }
-    }
-
-    detectWebGL2() {
-        try {
-            const canvas = document.createElement('canvas');
-            return !!(window.WebGL2RenderingContext && canvas.getContext('webgl2'));
-        } catch (e) {
-            return false;
-        }
-    }
-
-    detectAudio() {
-        return !!(window.AudioContext || window.webkitAudioContext);
-    }
-
-    detectTouch() {
-        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-    }
-
-    detectStorage() {
-        try {
-            return 'localStorage' in window && window.localStorage !== null;
-        } catch (e) {
-            return false;
-        }
-    }
-
-    detectWorkers() {
-        return !!window.Worker;
-    }
-
-    testAnimationPerformance() {
-        if (!('requestAnimationFrame' in window)) return false;
-        
-        // Simple animation performance test
-        let frames = 0;
-        const startTime = performance.now();
-        
-        const testFrame = () => {
-            frames++;
-            if (performance.now() - startTime < 1000) {
-                requestAnimationFrame(testFrame);
-            }
-        };
-        
-        requestAnimationFrame(testFrame);
-        
-        // We'll assume good performance if RAF is available
-        return true;
-    }
-
-    getOptimalSettings() {
-        return {
-            fps: this.supportedFPS,
-            useWebGL: this.capabilities.webgl,
-            useAudio: this.capabilities.audio,
-            isMobile: this.isMobile,
-            maxParticles: this.isMobile ? 50 : 200,
-            textureQuality: this.isMobile ? 'low' : 'high'
-        };
-    }
-
-    getPerformanceGrade() {
-        const score = Object.values(this.capabilities).filter(Boolean).length;
-        if (score >= 6) return 'excellent';
-        if (score >= 4) return 'good';
-        if (score >= 2) return 'fair';
-        return 'basic';
-    }
-}
-
-window.PERFORMANCE_DETECTOR = new PerformanceDetector();
-console.log('✅ Performance detector initialized');
\ No newline at end of file
+// Device capability detection and optimization
+const DEVICE_PROFILE_STORAGE_KEY = 'fethi-facility-device-profile';
+const DEVICE_PROFILE_VERSION = 1;
+const DEVICE_PROFILE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+class PerformanceDetector {
+    constructor() {
+        this.isMobile = Utils.isMobile();
+        this.deviceTier = null;
+        this.benchmark = null;
+        this.benchmarkDuration = 600;
+        this.benchmarkPending = false;
+
+        // Viewport guess until init() has a tier
+        this.supportedFPS = this.isMobile ? 
+            CONFIG.PERFORMANCE.MOBILE_FPS : 
+            CONFIG.PERFORMANCE.DESKTOP_FPS;
+        
+        this.capabilities = {};
+        this.detectCapabilities();
+    }
+
+    async init() {
+        LOGGER.info('performance', '📊 Profiling device...');
+
+        const cached = this.loadProfile();
+        if (cached) {
+            this.benchmark = cached.benchmark;
+            this.deviceTier = cached.tier;
+            LOGGER.info('performance', `✅ Device tier: ${this.deviceTier} (cached from ${cached.measuredAt})`);
+        } else {
+            // Hardware signals only for now, benchmarkWhenIdle() measures once boot is over
+            this.deviceTier = this.computeDeviceTier(null, this.getHardwareSignals());
+            this.benchmarkPending = true;
+            LOGGER.info('performance', `✅ Provisional device tier: ${this.deviceTier}, benchmark deferred`);
+        }
+
+        this.refreshTargetFPS();
+    }
+
+    // Runs once critical assets have settled and before the scene starts moving, with the loop
+    // paused, so boot decodes and gameplay do not skew frame times toward a lower tier
+    async benchmarkWhenIdle() {
+        if (!this.benchmarkPending) return this.deviceTier;
+        this.benchmarkPending = false;
+
+        await new Promise(resolve => {
+            if (window.requestIdleCallback) {
+                window.requestIdleCallback(resolve, { timeout: 2000 });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+
+        if (window.GAME_LOOP) {
+            GAME_LOOP.pause('benchmark');
+        }
+        try {
+            await this.measure();
+        } finally {
+            if (window.GAME_LOOP) {
+                GAME_LOOP.resume('benchmark');
+            }
+        }
+        this.applyTargetFPS();
+        return this.deviceTier;
+    }
+
+    async measure() {
+        this.benchmarkPending = false;
+        this.benchmark = await this.testAnimationPerformance();
+        this.deviceTier = this.computeDeviceTier(this.benchmark, this.getHardwareSignals());
+        if (this.benchmark) {
+            this.saveProfile();
+        }
+        this.refreshTargetFPS();
+        LOGGER.info('performance', `✅ Device tier: ${this.deviceTier}`, this.benchmark);
+    }
+
+    refreshTargetFPS() {
+        this.isMobile = Utils.isMobile();
+
+        // Without a measured tier, fall back to the viewport width guess
+        const useMobileFPS = this.deviceTier ? this.deviceTier === 'low' : this.isMobile;
+        this.supportedFPS = useMobileFPS ?
+            CONFIG.PERFORMANCE.MOBILE_FPS :
+            CONFIG.PERFORMANCE.DESKTOP_FPS;
+        return this.supportedFPS;
+    }
+
+    detectCapabilities() {
+        this.capabilities = {
+            webgl: this.detectWebGL(),
+            webgl2: this.detectWebGL2(),
+            audio: this.detectAudio(),
+            animation: 'requestAnimationFrame' in window,
+            touch: this.detectTouch(),
+            storage: this.detectStorage(),
+            workers: this.detectWorkers()
+        };
+        
+        LOGGER.info('performance', '📊 Performance capabilities detected:', {
+            device: this.isMobile ? 'mobile' : 'desktop',
+            fps: this.supportedFPS,
+            ...this.capabilities
+        });
+    }
+
+    detectWebGL() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext && 
+                     (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    detectWebGL2() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGL2RenderingContext && canvas.getContext('webgl2'));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    detectAudio() {
+        return !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    detectTouch() {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+
+    detectStorage() {
+        try {
+            return 'localStorage' in window && window.localStorage !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    detectWorkers() {
+        return !!window.Worker;
+    }
+
+    // Samples RAF frame times for a short burst, resolves null when frames never arrive (hidden tab)
+    testAnimationPerformance(duration = this.benchmarkDuration) {
+        if (!('requestAnimationFrame' in window)) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const frameTimes = [];
+            const startTime = performance.now();
+            let lastTime = null;
+            let settled = false;
+
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                resolve(frameTimes.length >= 10 ? this.summarizeFrameTimes(frameTimes) : null);
+            };
+
+            const testFrame = (now) => {
+                if (settled) return;
+                if (lastTime !== null) {
+                    frameTimes.push(now - lastTime);
+                }
+                lastTime = now;
+
+                if (now - startTime < duration) {
+                    requestAnimationFrame(testFrame);
+                } else {
+                    finish();
+                }
+            };
+
+            requestAnimationFrame(testFrame);
+            setTimeout(finish, duration * 2);
+        });
+    }
+
+    summarizeFrameTimes(frameTimes) {
+        const sorted = [...frameTimes].sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+        const round = (value) => Math.round(value * 10) / 10;
+
+        return {
+            frames: sorted.length,
+            p50: round(percentile(0.5)),
+            p95: round(percentile(0.95)),
+            p99: round(percentile(0.99)),
+            max: round(sorted[sorted.length - 1])
+        };
+    }
+
+    getHardwareSignals() {
+        const coarsePointer = !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+
+        return {
+            cores: navigator.hardwareConcurrency || null,
+            memory: navigator.deviceMemory || null,
+            pointer: coarsePointer ? 'coarse' : 'fine',
+            dpr: window.devicePixelRatio || 1
+        };
+    }
+
+    // Composite score; unknown hardware signals count as middling rather than weak
+    computeDeviceTier(benchmark, signals) {
+        let score = 0;
+
+        if (!benchmark) {
+            score += 1;
+        } else if (benchmark.p95 <= 20) {
+            score += 3;
+        } else if (benchmark.p95 <= 34) {
+            score += 1;
+        }
+
+        if (signals.cores === null) score += 1;
+        else if (signals.cores >= 8) score += 2;
+        else if (signals.cores >= 4) score += 1;
+
+        if (signals.memory === null) score += 1;
+        else if (signals.memory >= 8) score += 2;
+        else if (signals.memory >= 4) score += 1;
+
+        if (signals.pointer === 'fine') score += 1;
+
+        // Dense screens push more pixels through the CRT and parallax layers
+        if (signals.dpr > 2) score -= 1;
+
+        if (score >= 7) return 'high';
+        if (score >= 4) return 'mid';
+        return 'low';
+    }
+
+    loadProfile() {
+        try {
+            const raw = window.localStorage.getItem(DEVICE_PROFILE_STORAGE_KEY);
+            if (!raw) return null;
+
+            const profile = JSON.parse(raw);
+            const age = Date.now() - new Date(profile.measuredAt).getTime();
+            if (profile.version !== DEVICE_PROFILE_VERSION ||
+                profile.userAgent !== navigator.userAgent ||
+                !(age < DEVICE_PROFILE_MAX_AGE)) {
+                return null;
+            }
+            return profile;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveProfile() {
+        try {
+            window.localStorage.setItem(DEVICE_PROFILE_STORAGE_KEY, JSON.stringify({
+                version: DEVICE_PROFILE_VERSION,
+                tier: this.deviceTier,
+                benchmark: this.benchmark,
+                measuredAt: new Date().toISOString(),
+                userAgent: navigator.userAgent
+            }));
+        } catch (error) {
+            // Storage blocked, the benchmark simply reruns next visit
+        }
+    }
+
+    // Drops the cached tier and measures again
+    async rebenchmark() {
+        try {
+            window.localStorage.removeItem(DEVICE_PROFILE_STORAGE_KEY);
+        } catch (error) {
+            // Nothing cached when storage is blocked
+        }
+        await this.measure();
+        this.applyTargetFPS();
+        return this.deviceTier;
+    }
+
+    // The quality governor may be holding a reduced FPS, so the new target goes through its tier
+    applyTargetFPS() {
+        if (window.QUALITY_GOVERNOR) {
+            QUALITY_GOVERNOR.refreshFPS();
+        } else if (window.GAME_LOOP) {
+            GAME_LOOP.setFPS(this.supportedFPS);
+        }
+    }
+
+    getOptimalSettings() {
+        const tier = this.deviceTier || (this.isMobile ? 'low' : 'high');
+
+        return {
+            fps: this.supportedFPS,
+            tier,
+            useWebGL: this.capabilities.webgl,
+            useAudio: this.capabilities.audio,
+            isMobile: this.isMobile,
+            maxParticles: { low: 50, mid: 100, high: 200 }[tier],
+            textureQuality: tier === 'high' ? 'high' : 'low'
+        };
+    }
+
+    getPerformanceGrade() {
+        const score = Object.values(this.capabilities).filter(Boolean).length;
+        if (score >= 6) return 'excellent';
+        if (score >= 4) return 'good';
+        if (score >= 2) return 'fair';
+        return 'basic';
+    }
+}
+
+window.PERFORMANCE_DETECTOR = new PerformanceDetector();
+SYSTEM_REGISTRY.register('performance', window.PERFORMANCE_DETECTOR);
+LOGGER.info('performance', '✅ Performance detector initialized');
\ No newline at end of file
@@ -0,0 +1,202 @@
+// Pixel scaling system for retro aesthetic
+// 'integer' picks the largest whole device-pixel multiple, 'fill' the largest uniform
+// fractional one, 'stretch' fills the viewport per axis, 'manual' keeps the chosen scale.
+// The canvas backend always upscales by whole device pixels, so it treats fill and stretch as integer.
+const PIXEL_FIT_MODES = ['integer', 'fill', 'stretch', 'manual'];
+
+class PixelScaler {
+    constructor() {
+        this.scale = window.CONFIG ? window.CONFIG.PIXEL_SCALE : 3;
+        this.scaleX = this.scale;
+        this.scaleY = this.scale;
+        this.fitMode = window.CONFIG ? window.CONFIG.PIXEL_FIT : 'integer';
+        this.dpr = window.devicePixelRatio || 1;
+        this.baseWidth = 320;
+        this.baseHeight = 240;
+        // Manual scale bounds, matching the PIXEL_SCALE range config.json accepts
+        this.minScale = 1;
+        this.maxScale = 8;
+
+        // 'dom' scales the whole body; 'canvas' leaves the page alone and lets the renderer upscale
+        this.backend = 'dom';
+
+        this.dprQuery = null;
+        this.resizeDelay = 100;
+    }
+
+    init() {
+        LOGGER.info('display', '🎯 Initializing pixel scaling system...');
+        this.scale = SETTINGS_STORE.get('pixelScale');
+        this.fitMode = SETTINGS_STORE.get('pixelFit');
+
+        const relayout = Utils.debounce(() => this.layout(), this.resizeDelay);
+        window.addEventListener('resize', relayout);
+        window.addEventListener('orientationchange', relayout);
+        this.watchDevicePixelRatio();
+
+        try {
+            this.layout();
+            LOGGER.info('display', `✅ Pixel scaling applied: ${this.describe()}`);
+            return true;
+        } catch (error) {
+            LOGGER.error('display', '❌ Pixel scaling initialization failed:', error);
+            return false;
+        }
+    }
+
+    // Zooming or moving the window to another monitor changes DPR, often without a resize
+    watchDevicePixelRatio() {
+        if (!window.matchMedia) return;
+
+        if (this.dprQuery) {
+            this.dprQuery.removeEventListener('change', this.onDPRChange);
+        }
+        this.onDPRChange = () => {
+            this.watchDevicePixelRatio();
+            this.layout();
+        };
+        this.dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.dprQuery.addEventListener('change', this.onDPRChange);
+    }
+
+    computeScale() {
+        const dpr = window.devicePixelRatio || 1;
+        const fitX = window.innerWidth / this.baseWidth;
+        const fitY = window.innerHeight / this.baseHeight;
+
+        const mode = this.backend === 'canvas' && this.fitMode !== 'manual' ? 'integer' : this.fitMode;
+
+        switch (mode) {
+            case 'integer': {
+                // Whole device pixels per game pixel keeps every edge crisp on HiDPI screens
+                const devicePixels = Math.max(1, Math.floor(Math.min(fitX, fitY) * dpr));
+                const scale = devicePixels / dpr;
+                return { scaleX: scale, scaleY: scale, dpr };
+            }
+            case 'fill': {
+                const scale = Math.max(1 / dpr, Math.min(fitX, fitY));
+                return { scaleX: scale, scaleY: scale, dpr };
+            }
+            case 'stretch':
+                return { scaleX: fitX, scaleY: fitY, dpr };
+            default:
+                return { scaleX: this.scale, scaleY: this.scale, dpr };
+        }
+    }
+
+    layout() {
+        const { scaleX, scaleY, dpr } = this.computeScale();
+        this.scaleX = scaleX;
+        this.scaleY = scaleY;
+        this.dpr = dpr;
+        if (this.fitMode !== 'manual') {
+            this.scale = Math.min(scaleX, scaleY);
+        }
+
+        if (this.backend === 'canvas') {
+            this.clearDOMScaling();
+        } else {
+            this.applyDOMScaling();
+        }
+
+        EVENT_BUS.emit('display:scale-changed', {
+            scale: this.scale,
+            scaleX: this.scaleX,
+            scaleY: this.scaleY,
+            fitMode: this.fitMode,
+            dpr: this.dpr,
+            backend: this.backend
+        });
+    }
+
+    applyDOMScaling() {
+        // Apply pixelated rendering to the entire document
+        document.body.style.imageRendering = 'pixelated';
+        document.body.style.transform = `scale(${this.scaleX}, ${this.scaleY})`;
+        document.body.style.transformOrigin = 'top left';
+        document.body.style.width = `${100 / this.scaleX}vw`;
+        document.body.style.height = `${100 / this.scaleY}vh`;
+
+        // Scale the game container specifically
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) {
+            gameContainer.style.width = `${window.innerWidth / this.scaleX}px`;
+            gameContainer.style.height = `${window.innerHeight / this.scaleY}px`;
+            gameContainer.style.imageRendering = 'pixelated';
+        }
+    }
+
+    clearDOMScaling() {
+        const bodyStyle = document.body.style;
+        bodyStyle.transform = '';
+        bodyStyle.transformOrigin = '';
+        bodyStyle.width = '';
+        bodyStyle.height = '';
+
+        const gameContainer = document.getElementById('game-container');
+        if (gameContainer) {
+            gameContainer.style.width = '';
+            gameContainer.style.height = '';
+        }
+    }
+
+    // Picking a scale by hand switches to manual fit
+    updateScale(newScale) {
+        this.scale = Utils.clamp(Math.round(newScale), this.minScale, this.maxScale);
+        this.fitMode = 'manual';
+        SETTINGS_STORE.set('pixelScale', this.scale);
+        SETTINGS_STORE.set('pixelFit', this.fitMode);
+        this.layout();
+    }
+
+    setFitMode(mode) {
+        if (!PIXEL_FIT_MODES.includes(mode)) {
+            LOGGER.warn('display', `⚠️ Unknown pixel fit mode: ${mode}`);
+            return false;
+        }
+        this.fitMode = mode;
+        SETTINGS_STORE.set('pixelFit', this.fitMode);
+        this.layout();
+        LOGGER.info('display', `🎯 Pixel fit set to: ${this.describe()}`);
+        return true;
+    }
+
+    getFitModes() {
+        return PIXEL_FIT_MODES;
+    }
+
+    setBackend(backend) {
+        this.backend = backend === 'canvas' ? 'canvas' : 'dom';
+        this.layout();
+    }
+
+    describe() {
+        const format = (value) => Number(value.toFixed(2));
+        const scale = this.scaleX === this.scaleY ?
+            `${format(this.scaleX)}x` :
+            `${format(this.scaleX)}x${format(this.scaleY)}`;
+        const forced = this.backend === 'canvas' && (this.fitMode === 'fill' || this.fitMode === 'stretch');
+        return `${this.fitMode}${forced ? ' (integer on canvas)' : ''} ${scale} @ dpr ${this.dpr}`;
+    }
+
+    getStatus() {
+        return {
+            scale: this.scale,
+            scaleX: this.scaleX,
+            scaleY: this.scaleY,
+            fitMode: this.fitMode,
+            dpr: this.dpr,
+            baseWidth: this.baseWidth,
+            baseHeight: this.baseHeight,
+            backend: this.backend,
+            status: 'ready'
+        };
+    }
+}
+
+// Initialize and expose globally
+window.PIXEL_FIT_MODES = PIXEL_FIT_MODES;
+window.PIXEL_SCALER = new PixelScaler();
+SYSTEM_REGISTRY.register('pixelScaling', window.PIXEL_SCALER, { dependencies: ['settings'] });
+
+LOGGER.info('display', '✅ PixelScaler loaded');
@@ -0,0 +1,161 @@
+// Adaptive quality governor that trades visual effects for frame rate
+const QUALITY_TIERS = [
+    { name: 'high', crtEffects: true, trailScale: 1, parallaxLayers: Infinity, reducedFPS: false },
+    { name: 'medium', crtEffects: true, trailScale: 0.5, parallaxLayers: 5, reducedFPS: false },
+    { name: 'low', crtEffects: false, trailScale: 0.2, parallaxLayers: 4, reducedFPS: false },
+    { name: 'minimal', crtEffects: false, trailScale: 0, parallaxLayers: 3, reducedFPS: true }
+];
+
+class QualityGovernor {
+    constructor() {
+        this.tiers = QUALITY_TIERS;
+        this.tierIndex = 0;
+        this.enabled = true;
+
+        // Rolling window of raw display frame times in ms
+        this.windowSize = 90;
+        this.frameTimes = [];
+
+        // Hysteresis: stepping down is quick, stepping back up needs a long clean run
+        this.downgradeAfter = 2000;
+        this.upgradeAfter = 8000;
+        this.changeCooldown = 3000;
+        this.slowFor = 0;
+        this.fastFor = 0;
+        this.cooldown = 0;
+
+        this.unsubscribeFrame = null;
+    }
+
+    get tier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    init() {
+        LOGGER.info('quality', '🎚️ Initializing quality governor...');
+
+        // Devices the detector already rates as low texture quality start one tier down
+        const optimal = PERFORMANCE_DETECTOR.getOptimalSettings();
+        this.applyTier(optimal.textureQuality === 'low' ? 1 : 0);
+
+        this.unsubscribeFrame = GAME_LOOP.onFrame(frameTime => this.sample(frameTime));
+
+        // Frames around a pause or tab switch say nothing about rendering cost
+        EVENT_BUS.on('loop:resumed', () => this.resetWindow());
+
+        LOGGER.info('quality', `✅ Quality governor ready at tier: ${this.tier.name}`);
+    }
+
+    sample(frameTime) {
+        if (!this.enabled || GAME_LOOP.isPaused) return;
+        if (frameTime <= 0 || frameTime > 1000) return;
+
+        this.frameTimes.push(frameTime);
+        if (this.frameTimes.length > this.windowSize) {
+            this.frameTimes.shift();
+        }
+
+        if (this.cooldown > 0) {
+            this.cooldown -= frameTime;
+            return;
+        }
+        if (this.frameTimes.length < this.windowSize) return;
+
+        const average = this.getAverageFrameTime();
+        const targetFrameTime = 1000 / PERFORMANCE_DETECTOR.supportedFPS;
+
+        if (average > targetFrameTime + CONFIG.PERFORMANCE.FRAME_SKIP_THRESHOLD) {
+            this.slowFor += frameTime;
+            this.fastFor = 0;
+        } else if (average < targetFrameTime * 1.1) {
+            this.fastFor += frameTime;
+            this.slowFor = 0;
+        } else {
+            this.slowFor = 0;
+            this.fastFor = 0;
+        }
+
+        if (this.slowFor >= this.downgradeAfter && this.tierIndex < this.tiers.length - 1) {
+            LOGGER.warn('quality', `📉 Average frame time ${average.toFixed(1)}ms, lowering quality`);
+            this.applyTier(this.tierIndex + 1);
+        } else if (this.fastFor >= this.upgradeAfter && this.tierIndex > 0) {
+            LOGGER.info('quality', `📈 Average frame time ${average.toFixed(1)}ms, raising quality`);
+            this.applyTier(this.tierIndex - 1);
+        }
+    }
+
+    getAverageFrameTime() {
+        if (this.frameTimes.length === 0) return 0;
+        return this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+    }
+
+    resetWindow() {
+        this.frameTimes = [];
+        this.slowFor = 0;
+        this.fastFor = 0;
+    }
+
+    // Limits are applied on top of the user's settings and never persisted
+    applyTier(index) {
+        this.tierIndex = Utils.clamp(index, 0, this.tiers.length - 1);
+        const tier = this.tier;
+
+        if (window.CRT_SYSTEM) {
+            CRT_SYSTEM.setSuppressed(!tier.crtEffects);
+        }
+        if (window.CURSOR_SYSTEM) {
+            CURSOR_SYSTEM.setTrailScale(tier.trailScale);
+        }
+        if (window.PARALLAX_SYSTEM) {
+            PARALLAX_SYSTEM.setLayerBudget(Math.min(tier.parallaxLayers, CONFIG.PERFORMANCE.MAX_PARALLAX_LAYERS));
+        }
+
+        this.refreshFPS();
+
+        this.resetWindow();
+        this.cooldown = this.changeCooldown;
+        LOGGER.info('quality', `🎚️ Quality tier: ${tier.name}`);
+    }
+
+    // Also called when the detector re-measures the device, keeping a reduced tier's cap
+    refreshFPS() {
+        const fullFPS = PERFORMANCE_DETECTOR.supportedFPS;
+        GAME_LOOP.setFPS(this.tier.reducedFPS ? Math.min(fullFPS, CONFIG.PERFORMANCE.MOBILE_FPS) : fullFPS);
+    }
+
+    setTier(name) {
+        const index = this.tiers.findIndex(tier => tier.name === name);
+        if (index === -1) {
+            LOGGER.warn('quality', `⚠️ Unknown quality tier: ${name}`);
+            return false;
+        }
+        this.applyTier(index);
+        return true;
+    }
+
+    // Disabling restores full quality so a stuck low tier cannot outlive the governor
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.applyTier(0);
+        }
+        LOGGER.info('quality', this.enabled ? '🎚️ Quality governor enabled' : '🎚️ Quality governor disabled');
+    }
+
+    getState() {
+        return {
+            tier: this.tier.name,
+            enabled: this.enabled,
+            averageFrameTime: Math.round(this.getAverageFrameTime() * 10) / 10,
+            samples: this.frameTimes.length
+        };
+    }
+}
+
+window.QUALITY_TIERS = QUALITY_TIERS;
+window.QUALITY_GOVERNOR = new QualityGovernor();
+SYSTEM_REGISTRY.register('quality', window.QUALITY_GOVERNOR, {
+    dependencies: ['gameLoop', 'performance', 'parallax', 'cursor', 'crt'],
+    optional: true
+});
+LOGGER.info('quality', '✅ Quality governor loaded');
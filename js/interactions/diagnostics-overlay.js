@@ -0,0 +1,80 @@
+// Lists systems the game loop's circuit breaker has switched off, with a way to bring them back
+class DiagnosticsOverlay {
+    constructor() {
+        this.element = null;
+        this.listElement = null;
+    }
+
+    init() {
+        LOGGER.info('ui', '🩺 Initializing diagnostics overlay...');
+
+        this.createElement();
+        EVENT_BUS.on('loop:system-disabled', () => this.refresh());
+        EVENT_BUS.on('loop:system-enabled', () => this.refresh());
+
+        // A system may already have tripped before this overlay existed
+        this.refresh();
+
+        LOGGER.info('ui', '✅ Diagnostics overlay ready');
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'diagnostics-overlay hidden';
+        this.element.setAttribute('role', 'alert');
+
+        const title = document.createElement('div');
+        title.className = 'diagnostics-title';
+        title.textContent = I18N.t('diagnostics.title');
+        this.element.appendChild(title);
+
+        this.listElement = document.createElement('div');
+        this.element.appendChild(this.listElement);
+
+        // Keep overlay presses from reaching gameplay listeners on document, including the cursor's mousedown
+        ['click', 'mousedown', 'touchstart'].forEach(eventName => {
+            this.element.addEventListener(eventName, (e) => e.stopPropagation());
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    refresh() {
+        const disabled = GAME_LOOP.getFaults().filter(fault => fault.disabled);
+
+        this.listElement.innerHTML = '';
+        disabled.forEach(fault => {
+            this.listElement.appendChild(this.createRow(fault));
+        });
+
+        this.element.classList.toggle('hidden', disabled.length === 0);
+    }
+
+    createRow(fault) {
+        const row = document.createElement('div');
+        row.className = 'diagnostics-row';
+
+        const message = document.createElement('span');
+        message.className = 'diagnostics-message';
+        message.textContent = I18N.t('diagnostics.entry', {
+            name: fault.name,
+            phase: fault.phase,
+            count: fault.totalErrors,
+            error: fault.error || '?'
+        });
+        row.appendChild(message);
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'diagnostics-retry';
+        retry.textContent = I18N.t('diagnostics.retry');
+        retry.addEventListener('click', () => GAME_LOOP.enableSystem(fault.name));
+        row.appendChild(retry);
+
+        return row;
+    }
+}
+
+window.DIAGNOSTICS_OVERLAY = new DiagnosticsOverlay();
+SYSTEM_REGISTRY.register('diagnostics', window.DIAGNOSTICS_OVERLAY, { dependencies: ['gameLoop'], optional: true });
+LOGGER.info('ui', '✅ Diagnostics overlay loaded');
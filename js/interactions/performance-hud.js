@@ -0,0 +1,169 @@
+// On-screen profiling overlay: frame-time graph, per-system timings, node and voice counts
+class PerformanceHUD {
+    constructor() {
+        this.element = null;
+        this.canvas = null;
+        this.context = null;
+        this.statsElement = null;
+        this.isVisible = false;
+        this.toggleKey = 'h';
+
+        this.historySize = 120;
+        this.frameTimes = [];
+
+        // Redrawing text every frame would itself skew the numbers on slow phones
+        this.refreshInterval = 250;
+        this.sinceRefresh = 0;
+        this.unsubscribeFrame = null;
+    }
+
+    init() {
+        LOGGER.info('ui', '📈 Initializing performance HUD...');
+
+        this.createElement();
+        this.setupEventListeners();
+        this.unsubscribeFrame = GAME_LOOP.onFrame(frameTime => this.onFrame(frameTime));
+
+        // ?hud=1 opens it on devices without a keyboard, without touching the saved setting
+        const fromQuery = new URLSearchParams(window.location.search).get('hud') === '1';
+        this.applyVisibility(fromQuery || SETTINGS_STORE.get('performanceHud'));
+
+        LOGGER.info('ui', `✅ Performance HUD ready (press "${this.toggleKey.toUpperCase()}" to toggle)`);
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'performance-hud hidden';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'performance-hud-graph';
+        this.canvas.width = this.historySize;
+        this.canvas.height = 40;
+        this.context = this.canvas.getContext('2d');
+        this.element.appendChild(this.canvas);
+
+        this.statsElement = document.createElement('pre');
+        this.statsElement.className = 'performance-hud-stats';
+        this.element.appendChild(this.statsElement);
+
+        document.body.appendChild(this.element);
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === this.toggleKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                this.toggle();
+            }
+        });
+    }
+
+    onFrame(frameTime) {
+        if (!this.isVisible) return;
+
+        this.frameTimes.push(frameTime);
+        if (this.frameTimes.length > this.historySize) {
+            this.frameTimes.shift();
+        }
+
+        this.sinceRefresh += frameTime;
+        if (this.sinceRefresh >= this.refreshInterval) {
+            this.sinceRefresh = 0;
+            this.drawGraph();
+            this.renderStats();
+        }
+    }
+
+    drawGraph() {
+        if (!this.context) return;
+
+        const { width, height } = this.canvas;
+        const maxFrameTime = 50;
+        const ctx = this.context;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Budget lines at 60 and 30 FPS
+        ctx.fillStyle = this.getColor('SIGNAL_BLUE');
+        [1000 / 60, 1000 / 30].forEach(budget => {
+            ctx.fillRect(0, Math.round(height - (budget / maxFrameTime) * height), width, 1);
+        });
+
+        const offset = width - this.frameTimes.length;
+        this.frameTimes.forEach((frameTime, index) => {
+            const barHeight = Math.min(height, (frameTime / maxFrameTime) * height);
+            ctx.fillStyle = frameTime > 1000 / 30 ? this.getColor('ALERT_RED') :
+                frameTime > 1000 / 55 ? this.getColor('WARNING_ORANGE') :
+                this.getColor('ENERGY_CYAN');
+            ctx.fillRect(offset + index, height - barHeight, 1, barHeight);
+        });
+    }
+
+    // Canvas fills cannot resolve CSS variables, so read the raw theme colors
+    getColor(key) {
+        return window.THEME_SYSTEM ? THEME_SYSTEM.getColor(key) : CONFIG.COLORS[key];
+    }
+
+    getFrameStats() {
+        if (this.frameTimes.length === 0) return { average: 0, p95: 0 };
+
+        const sorted = [...this.frameTimes].sort((a, b) => a - b);
+        return {
+            average: sorted.reduce((sum, time) => sum + time, 0) / sorted.length,
+            p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]
+        };
+    }
+
+    renderStats() {
+        const loop = GAME_LOOP.getStats();
+        const frames = this.getFrameStats();
+        const cursor = window.CURSOR_SYSTEM ? CURSOR_SYSTEM.getState() : null;
+        const voices = window.AUDIO_SYSTEM ? AUDIO_SYSTEM.getVoiceCount() : 0;
+        const mix = window.AUDIO_MIXER ? AUDIO_MIXER.getState() : null;
+
+        const lines = [
+            `FPS ${loop.fps}  FRAME ${frames.average.toFixed(1)}ms  P95 ${frames.p95.toFixed(1)}ms`,
+            `TICK ${Math.round(1000 / GAME_LOOP.deltaTime)}Hz x${loop.timeScale}${loop.paused ? '  PAUSED' : ''}`,
+            `DEVICE ${PERFORMANCE_DETECTOR.deviceTier || '?'}  QUALITY ${loop.qualityTier || '-'}`,
+            `DOM trail ${cursor ? cursor.trailNodes : 0}  fx ${cursor ? cursor.effectNodes : 0}`,
+            `AUDIO voices ${voices}${mix ? `  MIX ${mix.preset}${mix.ducking ? '  DUCK' : ''}` : ''}`,
+            '',
+            'SYSTEM          UPD ms  RND ms'
+        ];
+
+        GAME_LOOP.getSystemTimings().forEach(({ name, update, render, disabled }) => {
+            const timings = disabled ?
+                '   OFF     OFF' :
+                `${update.toFixed(3).padStart(6)}  ${render.toFixed(3).padStart(6)}`;
+            lines.push(`${name.padEnd(16).slice(0, 16)}${timings}`);
+        });
+
+        this.statsElement.textContent = lines.join('\n');
+    }
+
+    applyVisibility(visible) {
+        this.isVisible = !!visible;
+        this.element.classList.toggle('hidden', !this.isVisible);
+        this.frameTimes = [];
+        this.sinceRefresh = 0;
+
+        // Timing every system call costs a little, so only measure while someone is watching
+        GAME_LOOP.setProfiling(this.isVisible);
+    }
+
+    setVisible(visible) {
+        this.applyVisibility(visible);
+        SETTINGS_STORE.set('performanceHud', this.isVisible);
+    }
+
+    toggle() {
+        this.setVisible(!this.isVisible);
+        return this.isVisible;
+    }
+}
+
+window.PERFORMANCE_HUD = new PerformanceHUD();
+SYSTEM_REGISTRY.register('performanceHud', window.PERFORMANCE_HUD, {
+    dependencies: ['gameLoop', 'performance', 'settings'],
+    optional: true
+});
+LOGGER.info('ui', '✅ Performance HUD loaded');
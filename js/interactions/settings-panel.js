@@ -0,0 +1,312 @@
+// In-game settings overlay wired to the existing system setters
+class SettingsPanel {
+    constructor() {
+        this.panelElement = null;
+        this.toggleButton = null;
+        this.controls = new Map();
+        this.isOpen = false;
+        this.toggleKey = 's';
+    }
+
+    init() {
+        LOGGER.info('ui', '🛠️ Initializing settings panel...');
+
+        this.createToggleButton();
+        this.createPanel();
+        this.setupEventListeners();
+
+        LOGGER.info('ui', `✅ Settings panel ready (press "${this.toggleKey.toUpperCase()}" or the corner button)`);
+    }
+
+    getControlDefinitions() {
+        return [
+            {
+                id: 'masterVolume', label: I18N.t('settings.masterVolume'), type: 'range', min: 0, max: 1, step: 0.05,
+                get: () => AUDIO_SYSTEM.masterVolume,
+                set: (value) => AUDIO_SYSTEM.setMasterVolume(value),
+                format: (value) => `${Math.round(value * 100)}%`
+            },
+            {
+                id: 'muted', label: I18N.t('settings.muted'), type: 'toggle',
+                get: () => AUDIO_SYSTEM.isMuted,
+                set: (value) => {
+                    if (AUDIO_SYSTEM.isMuted !== value) AUDIO_SYSTEM.toggleMute();
+                }
+            },
+            {
+                id: 'parallaxIntensity', label: I18N.t('settings.parallaxIntensity'), type: 'range', min: 0, max: 100, step: 1,
+                get: () => PARALLAX_SYSTEM.parallaxIntensity,
+                set: (value) => PARALLAX_SYSTEM.setParallaxIntensity(value)
+            },
+            {
+                id: 'trailLength', label: I18N.t('settings.trailLength'), type: 'range', min: 0, max: 10, step: 1,
+                get: () => CURSOR_SYSTEM.maxTrails,
+                set: (value) => CURSOR_SYSTEM.setTrailLength(value)
+            },
+            {
+                id: 'hoverCooldown', label: I18N.t('settings.hoverCooldown'), type: 'range', min: 100, max: 5000, step: 100,
+                get: () => HOVER_DETECTOR.hoverCooldown,
+                set: (value) => HOVER_DETECTOR.setHoverCooldown(value),
+                format: (value) => `${value}ms`
+            },
+            {
+                id: 'movementThreshold', label: I18N.t('settings.movementThreshold'), type: 'range', min: 10, max: 300, step: 5,
+                get: () => HOVER_DETECTOR.movementThreshold,
+                set: (value) => HOVER_DETECTOR.setMovementThreshold(value),
+                format: (value) => `${value}px`
+            },
+            {
+                // Rescaling re-lays out the whole page, so only apply on release
+                id: 'pixelScale', label: I18N.t('settings.pixelScale'), type: 'range',
+                min: PIXEL_SCALER.minScale, max: PIXEL_SCALER.maxScale, step: 1, live: false,
+                get: () => PIXEL_SCALER.scale,
+                set: (value) => PIXEL_SCALER.updateScale(value),
+                format: (value) => `${Number(value.toFixed(2))}x`
+            },
+            {
+                id: 'pixelFit', label: I18N.t('settings.pixelFit'), type: 'select',
+                options: () => PIXEL_SCALER.getFitModes().map(mode => ({
+                    value: mode,
+                    label: I18N.t(`pixelFit.${mode}`)
+                })),
+                get: () => PIXEL_SCALER.fitMode,
+                set: (value) => PIXEL_SCALER.setFitMode(value)
+            },
+            {
+                id: 'crtEffects', label: I18N.t('settings.crtEffects'), type: 'toggle',
+                get: () => CRT_SYSTEM.enabled,
+                set: (value) => CRT_SYSTEM.setEnabled(value)
+            },
+            {
+                id: 'renderer', label: I18N.t('settings.renderer'), type: 'select',
+                options: () => CANVAS_RENDERER.getBackends().map(name => ({
+                    value: name,
+                    label: I18N.t(`renderer.${name}`)
+                })),
+                get: () => CANVAS_RENDERER.backend,
+                set: (value) => CANVAS_RENDERER.setBackend(value)
+            },
+            {
+                id: 'performanceHud', label: I18N.t('settings.performanceHud'), type: 'toggle',
+                get: () => PERFORMANCE_HUD.isVisible,
+                set: (value) => PERFORMANCE_HUD.setVisible(value)
+            },
+            {
+                id: 'theme', label: I18N.t('settings.theme'), type: 'select',
+                options: () => THEME_SYSTEM.getThemeNames().map(name => ({
+                    value: name,
+                    // Themes registered at runtime carry their own label
+                    label: I18N.has(`theme.${name}`) ? I18N.t(`theme.${name}`) : THEME_SYSTEM.themes[name].label
+                })),
+                get: () => THEME_SYSTEM.activeTheme,
+                set: (value) => THEME_SYSTEM.setTheme(value)
+            }
+        ];
+    }
+
+    createToggleButton() {
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.className = 'settings-toggle';
+        this.toggleButton.type = 'button';
+        this.toggleButton.textContent = '⚙';
+        this.toggleButton.title = I18N.t('settings.ariaLabel');
+        this.toggleButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle();
+        });
+        // The cursor's click effect and sound listen for mousedown on document
+        this.toggleButton.addEventListener('mousedown', (e) => e.stopPropagation());
+        document.body.appendChild(this.toggleButton);
+    }
+
+    createPanel() {
+        this.panelElement = document.createElement('div');
+        this.panelElement.className = 'settings-panel hidden';
+        this.panelElement.setAttribute('role', 'dialog');
+        this.panelElement.setAttribute('aria-label', I18N.t('settings.ariaLabel'));
+
+        const title = document.createElement('div');
+        title.className = 'settings-title';
+        title.textContent = I18N.t('settings.title');
+        this.panelElement.appendChild(title);
+
+        this.getControlDefinitions().forEach(definition => {
+            this.panelElement.appendChild(this.createControlRow(definition));
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'settings-hint';
+        hint.textContent = I18N.t('settings.hint', { key: this.toggleKey.toUpperCase() });
+        this.panelElement.appendChild(hint);
+
+        document.body.appendChild(this.panelElement);
+    }
+
+    createControlRow(definition) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = definition.label;
+        row.appendChild(label);
+
+        const input = document.createElement('input');
+        const valueLabel = document.createElement('span');
+        valueLabel.className = 'settings-value';
+
+        if (definition.type === 'select') {
+            return this.createSelectRow(row, definition, valueLabel);
+        }
+
+        if (definition.type === 'toggle') {
+            input.type = 'checkbox';
+            input.className = 'settings-checkbox';
+            input.addEventListener('change', () => {
+                this.applyControl(definition, input.checked);
+            });
+        } else {
+            input.type = 'range';
+            input.className = 'settings-slider';
+            input.min = definition.min;
+            input.max = definition.max;
+            input.step = definition.step;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                valueLabel.textContent = this.formatValue(definition, value);
+                if (definition.live !== false) {
+                    this.applyControl(definition, value);
+                }
+            });
+            input.addEventListener('change', () => {
+                if (definition.live === false) {
+                    this.applyControl(definition, parseFloat(input.value));
+                }
+            });
+        }
+
+        row.appendChild(input);
+        row.appendChild(valueLabel);
+        this.controls.set(definition.id, { definition, input, valueLabel });
+        return row;
+    }
+
+    createSelectRow(row, definition, valueLabel) {
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+
+        try {
+            definition.options().forEach(option => {
+                const element = document.createElement('option');
+                element.value = option.value;
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+        } catch (error) {
+            select.disabled = true;
+        }
+
+        select.addEventListener('change', () => {
+            this.applyControl(definition, select.value);
+        });
+
+        // The select spans the value column, so its label stays detached
+        row.appendChild(select);
+        this.controls.set(definition.id, { definition, input: select, valueLabel });
+        return row;
+    }
+
+    applyControl(definition, value) {
+        try {
+            definition.set(value);
+        } catch (error) {
+            LOGGER.error('ui', `❌ Failed to apply setting ${definition.id}:`, error);
+        }
+        this.syncControl(this.controls.get(definition.id));
+    }
+
+    formatValue(definition, value) {
+        if (definition.type === 'toggle') return I18N.t(value ? 'settings.on' : 'settings.off');
+        if (definition.type === 'select') return '';
+        return definition.format ? definition.format(value) : String(value);
+    }
+
+    // Re-reads every value from the systems so console changes show up too
+    syncControls() {
+        this.controls.forEach(control => this.syncControl(control));
+    }
+
+    syncControl(control) {
+        const { definition, input, valueLabel } = control;
+        let value;
+
+        try {
+            value = definition.get();
+        } catch (error) {
+            // The owning system is missing, keep the control but disable it
+            input.disabled = true;
+            valueLabel.textContent = I18N.t('settings.unavailable');
+            return;
+        }
+
+        if (definition.type === 'toggle') {
+            input.checked = !!value;
+        } else {
+            input.value = value;
+        }
+        valueLabel.textContent = this.formatValue(definition, value);
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            } else if (e.key.toLowerCase() === this.toggleKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                this.toggle();
+            }
+        });
+
+        // Picking a scale switches the fit to manual, and resizes change the fitted scale
+        EVENT_BUS.on('display:scale-changed', () => {
+            if (this.isOpen) this.syncControls();
+        });
+
+        // Keep panel interactions from reaching gameplay listeners on document
+        ['click', 'mousedown', 'touchstart', 'keydown'].forEach(eventName => {
+            this.panelElement.addEventListener(eventName, (e) => {
+                if (eventName !== 'keydown' || e.key !== 'Escape') {
+                    e.stopPropagation();
+                }
+            });
+        });
+    }
+
+    open() {
+        this.syncControls();
+        this.panelElement.classList.remove('hidden');
+        this.toggleButton.classList.add('active');
+        this.isOpen = true;
+    }
+
+    close() {
+        this.panelElement.classList.add('hidden');
+        this.toggleButton.classList.remove('active');
+        this.isOpen = false;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+        return this.isOpen;
+    }
+}
+
+window.SETTINGS_PANEL = new SettingsPanel();
+SYSTEM_REGISTRY.register('settingsPanel', window.SETTINGS_PANEL, {
+    dependencies: ['audio', 'parallax', 'cursor', 'hoverDetector', 'pixelScaling', 'crt', 'theme', 'performanceHud', 'renderer'],
+    optional: true
+});
+LOGGER.info('ui', '✅ Settings panel loaded');
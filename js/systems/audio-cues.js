@@ -0,0 +1,55 @@
+// Named sound cues, the only thing gameplay code asks the audio system to play
+//   samples      sound names from ASSET_MANIFEST or AUDIO_SYNTH presets, played round-robin
+//   bus          AUDIO_MIXER bus the voices are routed to
+//   volume       base gain, multiplied by a random factor from volumeRange
+//   pitchRange   random playback rate range
+//   maxVoices    simultaneous voices of this cue
+//   steal        when full: 'oldest' or 'quietest' voice is cut, 'none' drops the new one
+//   cooldown     minimum ms between two starts of this cue
+//   queue        still loading: play once ready instead of dropping it
+//   follow       'character' keeps the voice on the character's position while it plays
+//   layer        parallax layer class whose depth sets the distance, e.g. 'layer-back'
+const AUDIO_CUES = {
+    'ambient': {
+        samples: ['ambient-hangar'], bus: 'ambient', volume: 0.3, loop: true,
+        maxVoices: 1, steal: 'none', cooldown: 0
+    },
+    'ui-click': {
+        samples: ['sfx-click', 'sfx-click-tick'], bus: 'ui', volume: 0.3,
+        pitchRange: [0.95, 1.05], volumeRange: [0.9, 1],
+        maxVoices: 3, steal: 'oldest', cooldown: 30
+    },
+    'ui-hover': {
+        samples: ['sfx-scanner'], bus: 'ui', volume: 0.2,
+        pitchRange: [0.97, 1.03],
+        maxVoices: 1, steal: 'none', cooldown: 250
+    },
+    'tap': {
+        samples: ['sfx-click', 'sfx-click-low'], bus: 'sfx', volume: 0.4,
+        pitchRange: [0.9, 1.1], volumeRange: [0.85, 1],
+        maxVoices: 3, steal: 'oldest', cooldown: 30
+    },
+    'alert': {
+        samples: ['sfx-glitch'], bus: 'sfx', volume: 1, queue: true, layer: 'layer-back',
+        pitchRange: [0.9, 1.05],
+        maxVoices: 1, steal: 'none', cooldown: 500
+    },
+    'crouch': {
+        samples: ['sfx-click'], bus: 'sfx', volume: 0.3, follow: 'character',
+        pitchRange: [0.8, 0.9],
+        maxVoices: 2, steal: 'oldest', cooldown: 100
+    },
+    'backflip': {
+        samples: ['sfx-backflip', 'sfx-backflip-twist'], bus: 'sfx', volume: 0.6, follow: 'character',
+        pitchRange: [0.95, 1.05], volumeRange: [0.9, 1],
+        maxVoices: 2, steal: 'oldest', cooldown: 200
+    },
+    'idle-scan': {
+        samples: ['sfx-scanner'], bus: 'sfx', volume: 0.1, follow: 'character',
+        pitchRange: [0.9, 1.1],
+        maxVoices: 1, steal: 'none', cooldown: 1000
+    }
+};
+
+window.AUDIO_CUES = AUDIO_CUES;
+LOGGER.info('audio', `✅ ${Object.keys(AUDIO_CUES).length} audio cues defined`);
@@ -0,0 +1,235 @@
+// Bus graph for the audio system: master -> ambient, music, sfx, ui, with ducking and mix presets
+const AUDIO_BUSES = ['ambient', 'music', 'sfx', 'ui'];
+
+// Per-bus gain multipliers and low-pass cutoffs (Hz), applied on top of the user's bus volumes
+const AUDIO_MIX_PRESETS = {
+    normal: {},
+    muffled: {
+        ambient: { gain: 0.6, cutoff: 500 },
+        music: { gain: 0.6, cutoff: 500 },
+        sfx: { gain: 0.8, cutoff: 900 }
+    }
+};
+
+class AudioMixer {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        this.buses = new Map();
+        this.masterVolume = 1;
+        this.masterMuted = false;
+        this.preset = 'normal';
+
+        this.openCutoff = 20000;
+        this.rampTime = 0.08;
+        this.presetRampTime = 1.2;
+
+        // The ambient bed dips under sound effects and recovers once they finish
+        this.ducking = { bus: 'ambient', triggers: ['sfx'], amount: 0.35, attack: 0.04, release: 0.6 };
+        this.duckingVoices = 0;
+
+        AUDIO_BUSES.forEach(name => {
+            this.buses.set(name, { name, volume: 1, muted: false, solo: false, nodes: null });
+        });
+    }
+
+    // Bus volumes and mutes can be set before this; they are applied once the graph exists
+    init(context) {
+        this.context = context;
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        this.buses.forEach(bus => {
+            const input = context.createGain();
+            const filter = context.createBiquadFilter();
+            const duck = context.createGain();
+
+            filter.type = 'lowpass';
+            filter.frequency.value = this.openCutoff;
+            input.connect(filter);
+            filter.connect(duck);
+            duck.connect(this.master);
+
+            bus.nodes = { input, filter, duck };
+        });
+
+        this.applyPreset(this.preset, 0);
+        LOGGER.info('audio', `🎚️ Mixer ready with buses: ${AUDIO_BUSES.join(', ')}`);
+    }
+
+    getBus(name) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            LOGGER.warn('audio', `⚠️ Unknown audio bus: ${name}`);
+        }
+        return bus;
+    }
+
+    // Voices connect here; unknown buses fall back to sfx
+    getInput(name) {
+        const bus = this.buses.get(name) || this.buses.get('sfx');
+        return bus.nodes ? bus.nodes.input : null;
+    }
+
+    // Cancels whatever is scheduled so rapid changes never click or stack up
+    ramp(param, value, time = this.rampTime, exponential = false) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+
+        if (time <= 0) {
+            param.setValueAtTime(value, now);
+        } else if (exponential) {
+            param.exponentialRampToValueAtTime(Math.max(value, 0.0001), now + time);
+        } else {
+            param.linearRampToValueAtTime(value, now + time);
+        }
+    }
+
+    getPresetBus(name) {
+        const preset = AUDIO_MIX_PRESETS[this.preset] || {};
+        return { gain: 1, cutoff: this.openCutoff, ...(preset[name] || {}) };
+    }
+
+    getEffectiveGain(bus) {
+        const soloActive = Array.from(this.buses.values()).some(other => other.solo);
+        if (bus.muted || (soloActive && !bus.solo)) return 0;
+        return bus.volume * this.getPresetBus(bus.name).gain;
+    }
+
+    updateGains(time = this.rampTime) {
+        if (!this.context) return;
+
+        this.ramp(this.master.gain, this.masterMuted ? 0 : this.masterVolume, time);
+        this.buses.forEach(bus => {
+            this.ramp(bus.nodes.input.gain, this.getEffectiveGain(bus), time);
+        });
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = Utils.clamp(volume, 0, 1);
+        this.updateGains();
+    }
+
+    setMasterMuted(muted) {
+        this.masterMuted = !!muted;
+        this.updateGains();
+    }
+
+    setBusVolume(name, volume) {
+        const bus = this.getBus(name);
+        if (!bus) return false;
+
+        bus.volume = Utils.clamp(volume, 0, 1);
+        this.updateGains();
+        this.saveMix();
+        return true;
+    }
+
+    setBusMuted(name, muted) {
+        const bus = this.getBus(name);
+        if (!bus) return false;
+
+        bus.muted = !!muted;
+        this.updateGains();
+        this.saveMix();
+        return true;
+    }
+
+    // Solo is a mixing aid and is not persisted
+    setBusSolo(name, solo) {
+        const bus = this.getBus(name);
+        if (!bus) return false;
+
+        bus.solo = !!solo;
+        this.updateGains();
+        return true;
+    }
+
+    applyPreset(name, time = this.presetRampTime) {
+        if (!AUDIO_MIX_PRESETS[name]) {
+            LOGGER.warn('audio', `⚠️ Unknown mix preset: ${name}`);
+            return false;
+        }
+
+        this.preset = name;
+        if (!this.context) return true;
+
+        this.updateGains(time);
+        this.buses.forEach(bus => {
+            this.ramp(bus.nodes.filter.frequency, this.getPresetBus(bus.name).cutoff, time, true);
+        });
+
+        LOGGER.debug('audio', `🎚️ Mix preset: ${name}`);
+        return true;
+    }
+
+    voiceStarted(busName) {
+        if (!this.ducking.triggers.includes(busName)) return;
+
+        this.duckingVoices++;
+        if (this.duckingVoices === 1) {
+            this.setDuck(this.ducking.amount, this.ducking.attack);
+        }
+    }
+
+    voiceEnded(busName) {
+        if (!this.ducking.triggers.includes(busName)) return;
+
+        this.duckingVoices = Math.max(0, this.duckingVoices - 1);
+        if (this.duckingVoices === 0) {
+            this.setDuck(1, this.ducking.release);
+        }
+    }
+
+    setDuck(level, time) {
+        const bus = this.buses.get(this.ducking.bus);
+        if (this.context && bus) {
+            this.ramp(bus.nodes.duck.gain, level, time);
+        }
+    }
+
+    restoreMix(stored) {
+        if (!Utils.isPlainObject(stored)) return;
+
+        this.buses.forEach(bus => {
+            const saved = stored[bus.name];
+            if (!Utils.isPlainObject(saved)) return;
+            if (typeof saved.volume === 'number') bus.volume = Utils.clamp(saved.volume, 0, 1);
+            if (typeof saved.muted === 'boolean') bus.muted = saved.muted;
+        });
+        this.updateGains(0);
+    }
+
+    saveMix() {
+        const mix = {};
+        this.buses.forEach(bus => {
+            mix[bus.name] = { volume: bus.volume, muted: bus.muted };
+        });
+        SETTINGS_STORE.set('audioMix', mix);
+    }
+
+    getState() {
+        const buses = {};
+        this.buses.forEach(bus => {
+            buses[bus.name] = {
+                volume: bus.volume,
+                muted: bus.muted,
+                solo: bus.solo,
+                gain: Math.round(this.getEffectiveGain(bus) * 100) / 100
+            };
+        });
+
+        return {
+            master: this.masterMuted ? 0 : this.masterVolume,
+            preset: this.preset,
+            ducking: this.duckingVoices > 0,
+            buses
+        };
+    }
+}
+
+window.AUDIO_BUSES = AUDIO_BUSES;
+window.AUDIO_MIX_PRESETS = AUDIO_MIX_PRESETS;
+window.AUDIO_MIXER = new AudioMixer();
+LOGGER.info('audio', '✅ Audio mixer loaded');
@@ -0,0 +1,171 @@
+// Procedural retro SFX: renders oscillator/noise presets into AudioBuffers the audio system plays like files
+//   wave              'square', 'sawtooth', 'triangle', 'sine' or 'noise'
+//   frequency         start pitch in Hz, swept exponentially to frequencyEnd
+//   duration          total length in seconds
+//   attack/decay/release  envelope times in seconds, sustain is the level held in between (0-1)
+//   noise             0-1 amount of white noise mixed into the tone
+//   vibratoRate/Depth LFO speed in Hz and depth as a fraction of the pitch
+//   steps             semitone offsets cycled evenly over the duration (arpeggio)
+//   crush             bit depth for a lo-fi quantized output, 0 leaves it clean
+//   seed              makes the noise repeatable, so a preset always renders the same
+const SYNTH_DEFAULTS = {
+    wave: 'square',
+    frequency: 440,
+    frequencyEnd: null,
+    duration: 0.1,
+    attack: 0.002,
+    decay: 0.05,
+    sustain: 0,
+    release: 0.02,
+    volume: 0.8,
+    noise: 0,
+    vibratoRate: 0,
+    vibratoDepth: 0,
+    steps: [],
+    crush: 0,
+    seed: 1
+};
+
+// Stand-ins for the shipped files, keyed by the same sound names, plus synth-only variants for cue rotation
+const SYNTH_PRESETS = {
+    'sfx-click': {
+        wave: 'square', frequency: 1200, frequencyEnd: 600, duration: 0.05,
+        attack: 0.001, decay: 0.04, release: 0.01, volume: 0.5
+    },
+    'sfx-click-tick': {
+        wave: 'square', frequency: 1600, frequencyEnd: 1000, duration: 0.035,
+        attack: 0.001, decay: 0.025, release: 0.008, volume: 0.45
+    },
+    'sfx-click-low': {
+        wave: 'triangle', frequency: 900, frequencyEnd: 420, duration: 0.06,
+        attack: 0.001, decay: 0.05, release: 0.01, volume: 0.6, noise: 0.1, seed: 7
+    },
+    'sfx-scanner': {
+        wave: 'sine', frequency: 600, frequencyEnd: 1400, duration: 0.4,
+        attack: 0.02, decay: 0.05, sustain: 0.6, release: 0.15, volume: 0.4,
+        vibratoRate: 18, vibratoDepth: 0.05
+    },
+    'sfx-glitch': {
+        wave: 'sawtooth', frequency: 220, frequencyEnd: 80, duration: 0.35,
+        attack: 0.005, decay: 0.1, sustain: 0.5, release: 0.1, volume: 0.6,
+        noise: 0.7, steps: [0, 7, -5, 12, 0, -12], crush: 4
+    },
+    'sfx-backflip': {
+        wave: 'triangle', frequency: 200, frequencyEnd: 900, duration: 0.3,
+        attack: 0.03, decay: 0.1, sustain: 0.4, release: 0.12, volume: 0.7,
+        noise: 0.15
+    },
+    'sfx-backflip-twist': {
+        wave: 'triangle', frequency: 180, frequencyEnd: 1100, duration: 0.34,
+        attack: 0.03, decay: 0.1, sustain: 0.4, release: 0.14, volume: 0.7,
+        noise: 0.2, vibratoRate: 12, vibratoDepth: 0.03, seed: 3
+    }
+};
+
+class AudioSynth {
+    constructor() {
+        this.presets = { ...SYNTH_PRESETS };
+    }
+
+    hasPreset(name) {
+        return name in this.presets;
+    }
+
+    getPreset(name) {
+        return this.presets[name] ? { ...SYNTH_DEFAULTS, ...this.presets[name] } : null;
+    }
+
+    // Lets designers try out new blips from the console without shipping a file
+    registerPreset(name, params) {
+        this.presets[name] = { ...params };
+        LOGGER.info('audio', `🎛️ Synth preset registered: ${name}`);
+    }
+
+    // Accepts a preset name or a parameter object
+    render(context, preset) {
+        const params = typeof preset === 'string' ?
+            this.getPreset(preset) :
+            { ...SYNTH_DEFAULTS, ...preset };
+        if (!params) {
+            LOGGER.warn('audio', `⚠️ Unknown synth preset: ${preset}`);
+            return null;
+        }
+
+        const sampleRate = context.sampleRate;
+        const length = Math.max(1, Math.floor(params.duration * sampleRate));
+        const buffer = context.createBuffer(1, length, sampleRate);
+        buffer.copyToChannel(this.synthesize(params, sampleRate, length), 0);
+        return buffer;
+    }
+
+    synthesize(params, sampleRate, length) {
+        const data = new Float32Array(length);
+        const random = this.createRandom(params.seed);
+        const endFrequency = params.frequencyEnd || params.frequency;
+        const levels = params.crush > 0 ? Math.pow(2, params.crush - 1) : 0;
+        let phase = 0;
+
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const progress = i / length;
+
+            let frequency = params.frequency * Math.pow(endFrequency / params.frequency, progress);
+            if (params.steps.length > 0) {
+                const step = params.steps[Math.floor(progress * params.steps.length)];
+                frequency *= Math.pow(2, step / 12);
+            }
+            if (params.vibratoRate > 0) {
+                frequency *= 1 + params.vibratoDepth * Math.sin(2 * Math.PI * params.vibratoRate * t);
+            }
+
+            phase = (phase + frequency / sampleRate) % 1;
+            const noise = random() * 2 - 1;
+            const tone = params.wave === 'noise' ? noise : this.oscillate(params.wave, phase);
+
+            let sample = (tone * (1 - params.noise) + noise * params.noise) *
+                this.envelope(params, t) * params.volume;
+            if (levels > 0) {
+                sample = Math.round(sample * levels) / levels;
+            }
+            data[i] = sample;
+        }
+
+        return data;
+    }
+
+    oscillate(wave, phase) {
+        switch (wave) {
+            case 'sine': return Math.sin(2 * Math.PI * phase);
+            case 'sawtooth': return phase * 2 - 1;
+            case 'triangle': return 1 - 4 * Math.abs(phase - 0.5);
+            default: return phase < 0.5 ? 1 : -1;
+        }
+    }
+
+    // ADSR with the sustain stretched to fill whatever the other stages leave of the duration
+    envelope({ attack, decay, sustain, release, duration }, t) {
+        const releaseStart = Math.max(attack + decay, duration - release);
+
+        if (t < attack) return t / attack;
+        if (t < attack + decay) return 1 - (1 - sustain) * ((t - attack) / decay);
+        if (t < releaseStart) return sustain;
+
+        return release > 0 ? sustain * Math.max(0, 1 - (t - releaseStart) / release) : 0;
+    }
+
+    // Small deterministic PRNG (mulberry32)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+window.SYNTH_PRESETS = SYNTH_PRESETS;
+window.AUDIO_SYNTH = new AudioSynth();
+LOGGER.info('audio', '✅ Audio synth loaded');
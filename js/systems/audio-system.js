@@ -1,201 +1,676 @@
-// Audio management system with spatial effects
-class AudioSystem {
-    constructor() {
-        this.audioContext = null;
-        this.sounds = new Map();
-        this.isMuted = false;
-        this.userInteracted = false;
-        this.masterVolume = CONFIG.GAME.AUDIO_VOLUME;
-        this.ambientPlaying = false;
-    }
-
-    async init() {
-        console.log('🎵 Initializing audio system...');
-        
-        if (!PERFORMANCE_DETECTOR.capabilities.audio) {
-            console.warn('🔇 Web Audio API not supported on this device');
-            return;
-        }
-
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.setupUserInteraction();
-            await this.preloadSounds();
-            console.log('✅ Audio system ready - awaiting user interaction');
-        } catch (error) {
-            console.error('❌ Audio system initialization failed:', error);
-        }
-    }
-
-    setupUserInteraction() {
-        const enableAudio = () => {
-            if (!this.userInteracted && this.audioContext) {
-                this.userInteracted = true;
-                if (this.audioContext.state === 'suspended') {
-                    this.audioContext.resume().then(() => {
-                        console.log('🔊 Audio context resumed after user interaction');
-                        this.startAmbientAudio();
-                    });
-                }
-            }
-        };
-
-        // Listen for any user interaction
-        const interactionEvents = ['click', 'keydown', 'touchstart', 'mousedown'];
-        interactionEvents.forEach(event => {
-            document.addEventListener(event, enableAudio, { 
-                once: true,
-                passive: true 
-            });
-        });
-
-        // Also enable on game start if user already interacted
-        setTimeout(() => {
-            if (!this.userInteracted && document.activeElement) {
-                enableAudio();
-            }
-        }, 1000);
-    }
-
-    async preloadSounds() {
-        const soundPaths = [
-            CONFIG.PATHS.AUDIO + 'ambient-hangar.mp3',
-            CONFIG.PATHS.AUDIO + 'sfx-scanner.wav',
-            CONFIG.PATHS.AUDIO + 'sfx-click.wav',
-            CONFIG.PATHS.AUDIO + 'sfx-glitch.wav',
-            CONFIG.PATHS.AUDIO + 'sfx-backflip.wav'
-        ];
-
-        console.log('📥 Preloading audio files...');
-        
-        for (const path of soundPaths) {
-            try {
-                const response = await fetch(path);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                
-                const arrayBuffer = await response.arrayBuffer();
-                const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-                const soundName = this.getSoundName(path);
-                
-                this.sounds.set(soundName, audioBuffer);
-                console.log(`✅ Loaded: ${soundName}`);
-            } catch (error) {
-                console.warn(`❌ Failed to load: ${path}`, error);
-            }
-        }
-    }
-
-    playSound(soundName, options = {}) {
-        if (this.isMuted || !this.audioContext || !this.userInteracted) {
-            return null;
-        }
-
-        const {
-            volume = 1.0,
-            loop = false,
-            playbackRate = 1.0,
-            pan = 0
-        } = options;
-
-        const sound = this.sounds.get(soundName);
-        if (!sound) {
-            console.warn(`🔇 Sound not found: ${soundName}`);
-            return null;
-        }
-
-        try {
-            const source = this.audioContext.createBufferSource();
-            const gainNode = this.audioContext.createGain();
-            const pannerNode = this.audioContext.createStereoPanner ? 
-                this.audioContext.createStereoPanner() : null;
-            
-            source.buffer = sound;
-            source.loop = loop;
-            source.playbackRate.value = playbackRate;
-            
-            gainNode.gain.value = volume * this.masterVolume;
-            
-            if (pannerNode) {
-                pannerNode.pan.value = pan;
-                source.connect(pannerNode);
-                pannerNode.connect(gainNode);
-            } else {
-                source.connect(gainNode);
-            }
-            
-            gainNode.connect(this.audioContext.destination);
-            source.start();
-            
-            return {
-                source,
-                stop: () => source.stop(),
-                setVolume: (vol) => gainNode.gain.value = vol * this.masterVolume,
-                setPlaybackRate: (rate) => source.playbackRate.value = rate
-            };
-        } catch (error) {
-            console.warn('🔇 Audio playback error:', error);
-            return null;
-        }
-    }
-
-    startAmbientAudio() {
-        if (this.ambientPlaying || !this.userInteracted) return;
-        
-        const ambient = this.playSound('ambient-hangar', {
-            volume: 0.3,
-            loop: true
-        });
-        
-        if (ambient) {
-            this.ambientPlaying = true;
-            console.log('🌌 Ambient audio started');
-        }
-    }
-
-    playSpatialSound(soundName, x, y, options = {}) {
-        // Convert screen coordinates to stereo panning (-1 to 1)
-        const screenX = (x / window.innerWidth) * 2 - 1;
-        const pan = Utils.clamp(screenX, -1, 1);
-        
-        // Calculate volume based on distance from center
-        const centerX = window.innerWidth / 2;
-        const distance = Math.abs(x - centerX);
-        const maxDistance = window.innerWidth / 2;
-        const distanceVolume = 1 - (distance / maxDistance) * 0.5;
-        
-        return this.playSound(soundName, {
-            ...options,
-            pan: pan,
-            volume: (options.volume || 1.0) * distanceVolume
-        });
-    }
-
-    getSoundName(path) {
-        return path.split('/').pop().split('.')[0];
-    }
-
-    setMasterVolume(volume) {
-        this.masterVolume = Utils.clamp(volume, 0, 1);
-        console.log(`🔊 Master volume set to: ${this.masterVolume}`);
-    }
-
-    toggleMute() {
-        this.isMuted = !this.isMuted;
-        console.log(this.isMuted ? '🔇 Audio muted' : '🔊 Audio unmuted');
-        return this.isMuted;
-    }
-
-    // Public method to explicitly enable audio
-    enableAudio() {
-        this.userInteracted = true;
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            this.audioContext.resume().then(() => {
-                console.log('🔊 Audio context manually resumed');
-                this.startAmbientAudio();
-            });
-        }
-    }
-}
-
-window.AUDIO_SYSTEM = new AudioSystem();
-console.log('✅ Audio system loaded with spatial effects');
\ No newline at end of file
+// Audio management system with positional effects, routed through AUDIO_MIXER's buses
+class AudioSystem {
+    constructor() {
+        this.audioContext = null;
+        this.sounds = new Map();
+        this.loadingSounds = new Map();
+        this.failedSounds = new Set();
+        this.synthesizedSounds = new Set();
+        this.isMuted = false;
+        this.userInteracted = false;
+        this.masterVolume = CONFIG.GAME.AUDIO_VOLUME;
+        this.ambientPlaying = false;
+        this.activeVoices = new Set();
+        // Media elements decode on their own clock, so pausing the loop pauses them directly
+        this.streamElements = new Set();
+        this.followingVoices = new Set();
+
+        // Panner space: the listener sits in front of the screen plane, shallow parallax layers sit behind it
+        this.spatial = {
+            spread: 2,           // audio units from the center to the left/right edge of the game area
+            listenerDistance: 1, // also the reference distance, so the screen plane plays at full volume
+            depthDistance: 2,    // how far behind the screen a depth 0 layer would be; only depth attenuates
+            rolloff: 1
+        };
+
+        // Per cue: live voices, last start time and the next round-robin sample
+        this.cueStates = new Map();
+
+        // Animation states that switch the mix, anything else returns to normal
+        this.statePresets = {
+            sleeping: 'muffled'
+        };
+    }
+
+    async init() {
+        LOGGER.info('audio', '🎵 Initializing audio system...');
+        
+        this.masterVolume = SETTINGS_STORE.get('masterVolume');
+        this.isMuted = SETTINGS_STORE.get('muted');
+        AUDIO_MIXER.restoreMix(SETTINGS_STORE.get('audioMix'));
+        AUDIO_MIXER.setMasterVolume(this.masterVolume);
+        AUDIO_MIXER.setMasterMuted(this.isMuted);
+        this.validateCues();
+        this.setupEventSubscriptions();
+        
+        if (!PERFORMANCE_DETECTOR.capabilities.audio) {
+            LOGGER.warn('audio', '🔇 Web Audio API not supported on this device');
+            return;
+        }
+
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            AUDIO_MIXER.init(this.audioContext);
+            this.placeNode(this.audioContext.listener, { x: 0, y: 0, z: this.spatial.listenerDistance });
+            this.setupUserInteraction();
+            await this.preloadSounds();
+            LOGGER.info('audio', '✅ Audio system ready - awaiting user interaction');
+
+            // Moves voices that follow the character once animations have updated
+            GAME_LOOP.registerSystem('audio', this, { priority: 90 });
+
+            // Not awaited: large files must not hold up the rest of the facility
+            this.loadLazySounds();
+        } catch (error) {
+            LOGGER.error('audio', '❌ Audio system initialization failed:', error);
+        }
+    }
+
+    setupUserInteraction() {
+        const enableAudio = () => {
+            if (!this.userInteracted && this.audioContext) {
+                this.userInteracted = true;
+                if (this.audioContext.state === 'suspended' && !GAME_LOOP.isPaused) {
+                    this.audioContext.resume().then(() => {
+                        LOGGER.info('audio', '🔊 Audio context resumed after user interaction');
+                        this.startAmbientAudio();
+                    });
+                }
+            }
+        };
+
+        // Listen for any user interaction
+        const interactionEvents = ['click', 'keydown', 'touchstart', 'mousedown'];
+        interactionEvents.forEach(event => {
+            document.addEventListener(event, enableAudio, { 
+                once: true,
+                passive: true 
+            });
+        });
+
+        // Also enable on game start if user already interacted
+        setTimeout(() => {
+            if (!this.userInteracted && document.activeElement) {
+                enableAudio();
+            }
+        }, 1000);
+    }
+
+    setupEventSubscriptions() {
+        // Suspending the context holds buffer voices and the synth in place, streams pause themselves
+        EVENT_BUS.on('loop:paused', () => {
+            this.streamElements.forEach(element => element.pause());
+            if (this.audioContext && this.audioContext.state === 'running') {
+                this.audioContext.suspend();
+            }
+        });
+
+        EVENT_BUS.on('loop:resumed', () => {
+            if (this.userInteracted && this.audioContext && this.audioContext.state === 'suspended') {
+                this.audioContext.resume().then(() => this.startAmbientAudio());
+            }
+            this.streamElements.forEach(element => {
+                element.play().catch(error => LOGGER.warn('audio', '❌ Failed to resume stream', error));
+            });
+        });
+
+        EVENT_BUS.on('pointer:down', ({ source }) => {
+            this.startAmbientAudio();
+            if (source === 'mouse') {
+                this.playCue('ui-click');
+            }
+        });
+
+        EVENT_BUS.on('pointer:hover', () => {
+            this.playCue('ui-hover');
+        });
+
+        EVENT_BUS.on('pointer:tap', ({ x, y }) => {
+            const point = COORDINATE_MAPPER.toGame(x, y);
+            this.playCue('tap', { x: point.x, y: point.y });
+        });
+
+        EVENT_BUS.on('character:animation-start', ({ animation }) => {
+            this.playAnimationSound(animation);
+        });
+
+        EVENT_BUS.on('state:transition', ({ to }) => {
+            // Presets scale the bus mix, so the user's own volumes are never touched
+            const preset = this.statePresets[to] || 'normal';
+            if (preset !== AUDIO_MIXER.preset) {
+                AUDIO_MIXER.applyPreset(preset);
+            }
+
+            if (to === 'alert') {
+                this.playCue('alert');
+            }
+        });
+    }
+
+    // These cues follow the character, so the flip drifts with the sprite instead of jumping to a side
+    playAnimationSound(animation) {
+        switch (animation) {
+            case 'crouch':
+                this.playCue('crouch');
+                break;
+            case 'backflip':
+                this.playCue('backflip');
+                break;
+            case 'idle':
+                this.playCue('idle-scan');
+                break;
+        }
+    }
+
+    // Critical sounds decode in parallel, limited only by the asset loader's concurrency
+    async preloadSounds() {
+        const critical = ASSET_MANIFEST.getSoundEntries().filter(entry => entry.load === 'critical');
+
+        LOGGER.info('audio', `📥 Preloading ${critical.length} critical audio files...`);
+        await Promise.all(critical.map(entry => this.loadSound(entry.name)));
+    }
+
+    async loadLazySounds() {
+        const lazy = ASSET_MANIFEST.getSoundEntries().filter(entry => entry.load === 'lazy');
+
+        // One at a time, so background downloads never compete with each other for bandwidth
+        for (const entry of lazy) {
+            await this.loadSound(entry.name);
+        }
+        LOGGER.info('audio', `✅ ${lazy.length} background audio files settled`);
+    }
+
+    // Resolves to the decoded buffer, or null if it failed; concurrent callers share one load
+    loadSound(soundName) {
+        if (this.sounds.has(soundName)) {
+            return Promise.resolve(this.sounds.get(soundName));
+        }
+        if (this.loadingSounds.has(soundName)) {
+            return this.loadingSounds.get(soundName);
+        }
+
+        if (!this.audioContext) {
+            return Promise.resolve(null);
+        }
+
+        // The loader already retried, asking again on every cue would refetch a broken file
+        const path = ASSET_MANIFEST.getSound(soundName);
+        if (!path || this.failedSounds.has(soundName) || ASSET_MANIFEST.isStreamed(soundName)) {
+            return Promise.resolve(this.synthesizeFallback(soundName));
+        }
+
+        const promise = ASSET_LOADER.loadAudio(path, this.audioContext).then(audioBuffer => {
+            this.loadingSounds.delete(soundName);
+            if (!audioBuffer) {
+                this.failedSounds.add(soundName);
+                LOGGER.warn('audio', `❌ Failed to load: ${path}`);
+                return this.synthesizeFallback(soundName);
+            }
+
+            this.sounds.set(soundName, audioBuffer);
+            LOGGER.debug('audio', `✅ Loaded: ${soundName}`);
+            return audioBuffer;
+        });
+
+        this.loadingSounds.set(soundName, promise);
+        return promise;
+    }
+
+    // A missing file is replaced by its AUDIO_SYNTH preset so the facility never goes silent
+    synthesizeFallback(soundName) {
+        if (!AUDIO_SYNTH.hasPreset(soundName)) return null;
+
+        const buffer = AUDIO_SYNTH.render(this.audioContext, soundName);
+        if (buffer) {
+            this.sounds.set(soundName, buffer);
+            this.synthesizedSounds.add(soundName);
+            LOGGER.info('audio', `🎛️ Using synthesized stand-in for: ${soundName}`);
+        }
+        return buffer;
+    }
+
+    // Muting is a master gain ramp in the mixer, so loops keep running and resume in place
+    playSound(soundName, options = {}) {
+        if (!this.audioContext || !this.userInteracted) {
+            return null;
+        }
+
+        // Synth-only presets have no file; files that failed were already swapped in by loadSound
+        const sound = this.sounds.get(soundName) ||
+            (ASSET_MANIFEST.getSound(soundName) ? null : this.synthesizeFallback(soundName));
+        if (!sound) {
+            LOGGER.warn('audio', `🔇 Sound not found: ${soundName}`);
+            return null;
+        }
+
+        return this.playBuffer(sound, { bus: this.getBusFor(soundName), ...options });
+    }
+
+    // Plays a preset name or ad-hoc AUDIO_SYNTH parameters, e.g. playSynth({ wave: 'square', frequency: 660 })
+    playSynth(preset, options = {}) {
+        if (!this.audioContext || !this.userInteracted) {
+            return null;
+        }
+
+        const buffer = AUDIO_SYNTH.render(this.audioContext, preset);
+        return buffer ? this.playBuffer(buffer, options) : null;
+    }
+
+    playBuffer(sound, options = {}) {
+        const {
+            volume = 1.0,
+            loop = false,
+            playbackRate = 1.0,
+            position = null,
+            follow = null,
+            bus = 'sfx',
+            onEnded = null
+        } = options;
+
+        try {
+            const source = this.audioContext.createBufferSource();
+            const gainNode = this.audioContext.createGain();
+            // Voices without a game-space position (ambient beds, UI) stay centered
+            const pannerNode = position && this.audioContext.createPanner ?
+                this.createPanner(this.toAudioSpace(position)) : null;
+            const attenuation = position ? this.getDistanceGain(position.depth) : 1;
+            
+            source.buffer = sound;
+            source.loop = loop;
+            source.playbackRate.value = playbackRate;
+            
+            gainNode.gain.value = volume * attenuation;
+            
+            if (pannerNode) {
+                source.connect(pannerNode);
+                pannerNode.connect(gainNode);
+            } else {
+                source.connect(gainNode);
+            }
+            
+            gainNode.connect(AUDIO_MIXER.getInput(bus));
+            source.start();
+
+            const voice = {
+                source,
+                bus,
+                volume,
+                follow,
+                stop: () => source.stop(),
+                setVolume: (vol) => gainNode.gain.value = vol * attenuation,
+                setPlaybackRate: (rate) => source.playbackRate.value = rate,
+                setPosition: (point) => {
+                    if (pannerNode) this.placeNode(pannerNode, this.toAudioSpace(point));
+                }
+            };
+
+            this.activeVoices.add(source);
+            if (follow && pannerNode) {
+                this.followingVoices.add(voice);
+            }
+            AUDIO_MIXER.voiceStarted(bus);
+            source.onended = () => {
+                this.activeVoices.delete(source);
+                this.followingVoices.delete(voice);
+                AUDIO_MIXER.voiceEnded(bus);
+                if (onEnded) onEnded();
+            };
+            
+            return voice;
+        } catch (error) {
+            LOGGER.warn('audio', '🔇 Audio playback error:', error);
+            return null;
+        }
+    }
+
+    // Long beds play through a media element, so they start after the first few seconds have downloaded
+    playStream(soundName, options = {}) {
+        if (!this.audioContext || !this.userInteracted) {
+            return null;
+        }
+
+        const {
+            volume = 1.0,
+            loop = false,
+            playbackRate = 1.0,
+            bus = 'sfx',
+            onEnded = null
+        } = options;
+        const path = ASSET_MANIFEST.getSound(soundName);
+
+        try {
+            const element = new Audio(path);
+            element.loop = loop;
+            element.playbackRate = playbackRate;
+
+            const source = this.audioContext.createMediaElementSource(element);
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = volume;
+            source.connect(gainNode);
+            gainNode.connect(AUDIO_MIXER.getInput(bus));
+
+            let finished = false;
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                this.activeVoices.delete(source);
+                this.streamElements.delete(element);
+                source.disconnect();
+                AUDIO_MIXER.voiceEnded(bus);
+                if (onEnded) onEnded();
+            };
+            const fail = (error) => {
+                LOGGER.warn('audio', `❌ Failed to stream: ${path}`, error || '');
+                finish();
+            };
+
+            element.addEventListener('ended', finish);
+            element.addEventListener('error', () => fail(element.error));
+            if (!GAME_LOOP.isPaused) {
+                element.play().catch(fail);
+            }
+
+            this.activeVoices.add(source);
+            this.streamElements.add(element);
+            AUDIO_MIXER.voiceStarted(bus);
+
+            return {
+                source,
+                bus,
+                volume,
+                follow: null,
+                stop: () => {
+                    element.pause();
+                    finish();
+                },
+                setVolume: (vol) => gainNode.gain.value = vol,
+                setPlaybackRate: (rate) => element.playbackRate = rate,
+                setPosition: () => {}
+            };
+        } catch (error) {
+            LOGGER.warn('audio', '🔇 Audio streaming error:', error);
+            return null;
+        }
+    }
+
+    startAmbientAudio() {
+        if (this.ambientPlaying || !this.userInteracted) return;
+        
+        // The bed is streamed, so it starts without waiting for the whole file; if the stream
+        // fails or stops, the flag clears and the next pointer press tries again
+        const ambient = this.playCue('ambient', {
+            onEnded: () => {
+                this.ambientPlaying = false;
+            }
+        });
+        
+        if (ambient) {
+            this.ambientPlaying = true;
+            LOGGER.info('audio', '🌌 Ambient audio started');
+        }
+    }
+
+    // Plays a named cue from AUDIO_CUES; x/y (game space) place it in the scene, depth or layer push it back
+    playCue(name, options = {}) {
+        const cue = AUDIO_CUES[name];
+        if (!cue) {
+            LOGGER.warn('audio', `🔇 Unknown audio cue: ${name}`);
+            return null;
+        }
+        if (!this.audioContext || !this.userInteracted) {
+            return null;
+        }
+
+        const state = this.getCueState(name);
+        const now = performance.now();
+        if (cue.cooldown && now - state.lastStart < cue.cooldown) {
+            return null;
+        }
+
+        const full = state.voices.length >= (cue.maxVoices || Infinity);
+        const victim = full ? this.pickVoiceToSteal(cue, state.voices) : null;
+        if (full && !victim) return null;
+
+        const sample = cue.samples[state.nextSample % cue.samples.length];
+        state.nextSample++;
+
+        // Synth-only samples have no file to wait for, streamed ones start while they download
+        const streamed = ASSET_MANIFEST.isStreamed(sample);
+        if (!this.sounds.has(sample) && !ASSET_MANIFEST.getSound(sample)) {
+            this.synthesizeFallback(sample);
+        }
+        if (!streamed && !this.sounds.has(sample)) {
+            this.deferCue(name, cue, sample, options);
+            return null;
+        }
+
+        // Only cut a playing voice once the new one is sure to start
+        if (victim) {
+            state.voices = state.voices.filter(voice => voice !== victim);
+            try {
+                victim.stop();
+            } catch (error) {
+                // Already finished on its own
+            }
+        }
+
+        const origin = this.getCueOrigin(cue, options);
+        const volume = (cue.volume || 1) * (options.volume || 1) * this.randomIn(cue.volumeRange);
+
+        const playOptions = {
+            volume,
+            loop: !!cue.loop,
+            playbackRate: this.randomIn(cue.pitchRange),
+            position: origin && origin.position,
+            follow: origin && origin.follow,
+            bus: cue.bus,
+            onEnded: () => {
+                state.voices = state.voices.filter(other => other !== voice);
+                if (options.onEnded) options.onEnded();
+            }
+        };
+        const voice = streamed ? this.playStream(sample, playOptions) : this.playSound(sample, playOptions);
+        if (!voice) return null;
+
+        state.lastStart = now;
+        state.voices.push(voice);
+        return voice;
+    }
+
+    // Queued cues play once their sample arrives (one pending play per cue); the rest are dropped
+    deferCue(name, cue, sample, options) {
+        const state = this.getCueState(name);
+        const loading = this.loadSound(sample);
+
+        if (!cue.queue || state.queued) {
+            LOGGER.debug('audio', `🔇 Cue ${name} dropped, ${sample} not loaded yet`);
+            return;
+        }
+
+        state.queued = true;
+        loading.then(buffer => {
+            state.queued = false;
+            if (buffer) {
+                this.playCue(name, options);
+            }
+        });
+    }
+
+    validateCues() {
+        const sounds = ASSET_MANIFEST.getSounds();
+        Object.entries(AUDIO_CUES).forEach(([name, cue]) => {
+            cue.samples.filter(sample => !(sample in sounds) && !AUDIO_SYNTH.hasPreset(sample)).forEach(sample => {
+                LOGGER.warn('audio', `⚠️ Cue ${name} references unknown sound: ${sample}`);
+            });
+            if (cue.follow && cue.follow !== 'character') {
+                LOGGER.warn('audio', `⚠️ Cue ${name} follows unknown target: ${cue.follow}`);
+            }
+        });
+    }
+
+    getCueState(name) {
+        if (!this.cueStates.has(name)) {
+            this.cueStates.set(name, { voices: [], lastStart: -Infinity, nextSample: 0, queued: false });
+        }
+        return this.cueStates.get(name);
+    }
+
+    // Voices are kept in start order, so the oldest is first
+    pickVoiceToSteal(cue, voices) {
+        switch (cue.steal) {
+            case 'oldest':
+                return voices[0];
+            case 'quietest':
+                return voices.reduce((quietest, voice) => voice.volume < quietest.volume ? voice : quietest);
+            default:
+                return null;
+        }
+    }
+
+    randomIn(range) {
+        return range ? Utils.randomBetween(range[0], range[1]) : 1;
+    }
+
+    // Where a cue sounds from: an explicit point, the character it follows, or the middle of its layer
+    getCueOrigin(cue, options) {
+        const depth = this.getDepth(options.depth, options.layer || cue.layer);
+
+        if (options.x !== undefined) {
+            return { position: { x: options.x, y: options.y, depth } };
+        }
+        if (cue.follow === 'character') {
+            const follow = () => ({ ...this.getCharacterPosition(), depth });
+            return { position: follow(), follow };
+        }
+        if (cue.layer || options.layer) {
+            return { position: { ...this.getViewportCenter(), depth } };
+        }
+        return null;
+    }
+
+    // Parallax depth doubles as distance: 1 is the screen plane, 0.1 (layer-back) is far behind it
+    getDepth(depth, layer) {
+        if (depth !== undefined) return Utils.clamp(depth, 0, 1);
+        return layer ? PARALLAX_SYSTEM.getLayerDepth(layer) : 1;
+    }
+
+    getCharacterPosition() {
+        return CHARACTER_SYSTEM.getCurrentState().position || this.getViewportCenter();
+    }
+
+    getViewportCenter() {
+        const { width, height } = COORDINATE_MAPPER.getViewport();
+        return { x: width / 2, y: height / 2 };
+    }
+
+    // Game-space point to panner coordinates; y points up and keeps the game area's aspect ratio
+    toAudioSpace({ x, y, depth = 1 }) {
+        const { width, height } = COORDINATE_MAPPER.getViewport();
+        const unit = this.spatial.spread / (width / 2);
+        return {
+            x: (x - width / 2) * unit,
+            y: (height / 2 - y) * unit,
+            z: -(1 - Utils.clamp(depth, 0, 1)) * this.spatial.depthDistance
+        };
+    }
+
+    // Inverse distance model over depth alone, so left/right placement only pans
+    getDistanceGain(depth = 1) {
+        const { listenerDistance, depthDistance, rolloff } = this.spatial;
+        const behind = (1 - Utils.clamp(depth, 0, 1)) * depthDistance;
+        return listenerDistance / (listenerDistance + rolloff * behind);
+    }
+
+    // Equal-power panning keeps the retro stereo feel and is far cheaper than HRTF;
+    // no rolloff here, getDistanceGain attenuates each voice from its depth instead
+    createPanner(position) {
+        const panner = this.audioContext.createPanner();
+        panner.panningModel = 'equalpower';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.spatial.listenerDistance;
+        panner.rolloffFactor = 0;
+        this.placeNode(panner, position);
+        return panner;
+    }
+
+    // Position AudioParams where supported, the deprecated setPosition elsewhere (older Safari)
+    placeNode(node, { x, y, z }) {
+        if (node.positionX) {
+            node.positionX.value = x;
+            node.positionY.value = y;
+            node.positionZ.value = z;
+        } else {
+            node.setPosition(x, y, z);
+        }
+    }
+
+    // x/y in game space; options.depth or options.layer place it deeper in the scene
+    playSpatialSound(soundName, x, y, options = {}) {
+        const depth = this.getDepth(options.depth, options.layer);
+        return this.playSound(soundName, { ...options, position: { x, y, depth } });
+    }
+
+    lateUpdate() {
+        this.followingVoices.forEach(voice => voice.setPosition(voice.follow()));
+    }
+
+    // Sounds are named by bus prefix (ambient-hangar, sfx-click); everything else is an effect
+    getBusFor(soundName) {
+        const prefix = soundName.split('-')[0];
+        return AUDIO_BUSES.includes(prefix) ? prefix : 'sfx';
+    }
+
+    getSoundName(path) {
+        return path.split('/').pop().split('.')[0];
+    }
+
+    setMasterVolume(volume) {
+        this.masterVolume = Utils.clamp(volume, 0, 1);
+        AUDIO_MIXER.setMasterVolume(this.masterVolume);
+        SETTINGS_STORE.set('masterVolume', this.masterVolume);
+        LOGGER.info('audio', `🔊 Master volume set to: ${this.masterVolume}`);
+    }
+
+    toggleMute() {
+        this.isMuted = !this.isMuted;
+        AUDIO_MIXER.setMasterMuted(this.isMuted);
+        SETTINGS_STORE.set('muted', this.isMuted);
+        LOGGER.info('audio', this.isMuted ? '🔇 Audio muted' : '🔊 Audio unmuted');
+        return this.isMuted;
+    }
+
+    getVoiceCount() {
+        return this.activeVoices.size;
+    }
+
+    getMixerState() {
+        return AUDIO_MIXER.getState();
+    }
+
+    getCueVoices() {
+        const voices = {};
+        this.cueStates.forEach((state, name) => {
+            voices[name] = state.voices.length;
+        });
+        return voices;
+    }
+
+    // Public method to explicitly enable audio
+    enableAudio() {
+        this.userInteracted = true;
+        if (this.audioContext && this.audioContext.state === 'suspended' && !GAME_LOOP.isPaused) {
+            this.audioContext.resume().then(() => {
+                LOGGER.info('audio', '🔊 Audio context manually resumed');
+                this.startAmbientAudio();
+            });
+        }
+    }
+}
+
+window.AUDIO_SYSTEM = new AudioSystem();
+// Optional: the facility still runs silently without Web Audio
+SYSTEM_REGISTRY.register('audio', window.AUDIO_SYSTEM, {
+    dependencies: ['performance', 'settings', 'gameLoop', 'coordinates'],
+    optional: true
+});
+LOGGER.info('audio', '✅ Audio system loaded with spatial effects');
\ No newline at end of file
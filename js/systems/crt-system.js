@@ -0,0 +1,135 @@
+// CRT monitor effects: WebGL post-process over the canvas backend, CSS overlay (scanlines, flicker, vignette, glitch) otherwise
+class CRTSystem {
+    constructor() {
+        this.overlay = null;
+        this.enabled = true;
+        this.suppressed = false;
+        this.mode = 'css';
+
+        // The WebGL context is only created the first time the pass can run
+        this.webglReady = false;
+        this.webglFailed = false;
+    }
+
+    init() {
+        LOGGER.info('crt', '📺 Initializing CRT effects...');
+
+        this.overlay = document.querySelector('.crt-overlay');
+        if (!this.overlay) {
+            LOGGER.warn('crt', '⚠️ CRT overlay not found in DOM');
+            return false;
+        }
+
+        // Backend switches re-lay out the pixel scaler, which reports the new backend
+        EVENT_BUS.on('display:scale-changed', () => this.updateMode());
+
+        this.enabled = SETTINGS_STORE.get('crtEffects');
+        this.updateMode();
+        this.applyState();
+
+        LOGGER.info('crt', `✅ CRT effects ${this.enabled ? 'enabled' : 'disabled'} (${this.mode})`);
+        return true;
+    }
+
+    initWebGL() {
+        const container = document.getElementById('game-container');
+        if (!container || !CRT_POSTPROCESS.init(container)) {
+            LOGGER.warn('crt', '⚠️ WebGL post-process unavailable, using CSS overlay');
+            return false;
+        }
+
+        CRT_POSTPROCESS.onContextLost = () => this.fallbackToCSS('WebGL context lost');
+
+        // After the canvas renderer so its buffer is complete when sampled
+        GAME_LOOP.registerSystem('crt', this, { priority: 110 });
+        return true;
+    }
+
+    fallbackToCSS(reason) {
+        if (!this.webglReady) return;
+
+        LOGGER.warn('crt', `⚠️ ${reason}, falling back to CSS overlay`);
+        CRT_POSTPROCESS.setVisible(false);
+        this.webglReady = false;
+        this.webglFailed = true;
+        GAME_LOOP.unregisterSystem('crt');
+        this.updateMode();
+    }
+
+    // The shader needs the canvas backend's buffer to sample; the DOM scene keeps the CSS overlay
+    updateMode() {
+        const canvasActive = window.CANVAS_RENDERER && CANVAS_RENDERER.active;
+        const wantsWebGL = canvasActive && PERFORMANCE_DETECTOR.capabilities.webgl && !this.webglFailed;
+        if (wantsWebGL && !this.webglReady) {
+            this.webglReady = this.initWebGL();
+            this.webglFailed = !this.webglReady;
+        }
+
+        const mode = wantsWebGL && this.webglReady ? 'webgl' : 'css';
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.applyState();
+        LOGGER.info('crt', `📺 CRT mode: ${this.mode}`);
+    }
+
+    render() {
+        if (this.mode !== 'webgl') return;
+        CRT_POSTPROCESS.render(CANVAS_RENDERER.canvas, performance.now());
+    }
+
+    applyState() {
+        const visible = this.enabled && !this.suppressed;
+
+        if (this.overlay) {
+            this.overlay.classList.toggle('hidden', !visible || this.mode === 'webgl');
+        }
+        if (this.webglReady) {
+            CRT_POSTPROCESS.setVisible(visible && this.mode === 'webgl');
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.applyState();
+        SETTINGS_STORE.set('crtEffects', this.enabled);
+        LOGGER.info('crt', this.enabled ? '📺 CRT effects enabled' : '📺 CRT effects disabled');
+    }
+
+    // Quality governor override, leaves the user's stored preference alone
+    setSuppressed(suppressed) {
+        this.suppressed = !!suppressed;
+        this.applyState();
+    }
+
+    // Live tweak of a CONFIG.CRT strength, e.g. setParameter('BLOOM', 0.6)
+    setParameter(name, value) {
+        if (!(name in CONFIG.CRT) || typeof value !== 'number' || isNaN(value)) {
+            LOGGER.warn('crt', `⚠️ Unknown or invalid CRT parameter: ${name}`);
+            return false;
+        }
+        CONFIG.CRT[name] = Utils.clamp(value, 0, 1);
+        return true;
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            suppressed: this.suppressed,
+            mode: this.mode,
+            parameters: { ...CONFIG.CRT }
+        };
+    }
+}
+
+window.CRT_SYSTEM = new CRTSystem();
+SYSTEM_REGISTRY.register('crt', window.CRT_SYSTEM, {
+    dependencies: ['settings', 'gameLoop', 'performance'],
+    optional: true
+});
+LOGGER.info('crt', '✅ CRT system loaded');
@@ -1,245 +1,328 @@
-// Parallax background system with multiple layers
-class ParallaxSystem {
-    constructor() {
-        this.layers = [];
-        this.mouseX = 0.5;
-        this.mouseY = 0.5;
-        this.parallaxIntensity = CONFIG.GAME.PARALLAX_INTENSITY;
-        this.initialized = false;
-    }
-
-    async init() {
-        console.log('🌌 Initializing parallax system...');
-        
-        // Wait for DOM to be ready
-        if (!document.getElementById('game-container')) {
-            console.error('❌ Game container not found');
-            return;
-        }
-
-        this.layers = Array.from(document.querySelectorAll('.parallax-layer'));
-        
-        if (this.layers.length === 0) {
-            console.warn('⚠️ No parallax layers found in DOM, creating fallback layers');
-            this.createFallbackLayers();
-        }
-        
-        await this.setupBackgrounds();
-        this.setupEventListeners();
-        
-        // Register with game loop
-        GAME_LOOP.registerSystem('parallax', this);
-        
-        this.initialized = true;
-        console.log(`✅ Parallax system ready with ${this.layers.length} layers`);
-    }
-
-    createFallbackLayers() {
-        const gameContainer = document.getElementById('game-container');
-        if (!gameContainer) return;
-
-        const layerData = [
-            { class: 'layer-back', depth: 0.1, color: '#000022' },
-            { class: 'layer-mid', depth: 0.3, color: '#001144' },
-            { class: 'layer-front', depth: 0.6, color: '#002266' },
-            { class: 'layer-asteroids', depth: 0.7, color: '#003377' },
-            { class: 'layer-planets', depth: 0.8, color: '#004488' },
-            { class: 'layer-facility', depth: 0.9, color: '#005599' },
-            { class: 'layer-anomaly', depth: 1.0, color: '#8B00FF' }
-        ];
-
-        layerData.forEach(layer => {
-            const div = document.createElement('div');
-            div.className = `parallax-layer ${layer.class}`;
-            div.setAttribute('data-depth', layer.depth);
-            div.style.background = layer.color;
-            div.style.position = 'absolute';
-            div.style.top = '0';
-            div.style.left = '0';
-            div.style.width = '100%';
-            div.style.height = '100%';
-            gameContainer.appendChild(div);
-        });
-
-        this.layers = Array.from(document.querySelectorAll('.parallax-layer'));
-    }
-
-    async setupBackgrounds() {
-        console.log('🎨 Setting up parallax backgrounds...');
-        
-        // Preload background images
-        const backgroundImages = [
-            CONFIG.PATHS.BACKGROUND.SPACE,
-            CONFIG.PATHS.BACKGROUND.STARS,
-            CONFIG.PATHS.BACKGROUND.STARS_DENSE,
-            CONFIG.PATHS.BACKGROUND.ASTEROID_1,
-            CONFIG.PATHS.BACKGROUND.ASTEROID_2,
-            CONFIG.PATHS.BACKGROUND.PLANET_BIG,
-            CONFIG.PATHS.BACKGROUND.PLANET_SMALL
-        ];
-
-        const imageResults = await Utils.preloadImages(backgroundImages);
-        
-        // Set up each layer with proper backgrounds
-        this.layers.forEach((layer, index) => {
-            const depth = parseFloat(layer.dataset.depth) || 0.5;
-            this.setupLayerBackground(layer, index, depth, imageResults);
-        });
-    }
-
-    setupLayerBackground(layer, index, depth, imageResults) {
-        const hue = 220 + (index * 8);
-        const saturation = 80 - (index * 5);
-        const lightness = 10 + (index * 3);
-        const baseColor = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-        
-        switch(index) {
-            case 0: // Deep space
-                layer.style.background = `
-                    ${baseColor},
-                    url('${CONFIG.PATHS.BACKGROUND.SPACE}')
-                `;
-                layer.style.backgroundBlendMode = 'overlay';
-                layer.style.backgroundSize = 'cover';
-                break;
-                
-            case 1: // Stars
-                layer.style.background = `
-                    ${baseColor},
-                    url('${CONFIG.PATHS.BACKGROUND.STARS}')
-                `;
-                layer.style.backgroundBlendMode = 'screen';
-                layer.style.backgroundSize = 'cover';
-                layer.style.opacity = '0.8';
-                break;
-                
-            case 2: // Dense stars
-                layer.style.background = `
-                    ${baseColor},
-                    url('${CONFIG.PATHS.BACKGROUND.STARS_DENSE}')
-                `;
-                layer.style.backgroundBlendMode = 'overlay';
-                layer.style.backgroundSize = 'cover';
-                layer.style.opacity = '0.6';
-                break;
-                
-            case 3: // Asteroids
-                layer.style.backgroundImage = `
-                    url('${CONFIG.PATHS.BACKGROUND.ASTEROID_1}'),
-                    url('${CONFIG.PATHS.BACKGROUND.ASTEROID_2}')
-                `;
-                layer.style.backgroundRepeat = 'no-repeat';
-                layer.style.backgroundPosition = '20% 30%, 80% 70%';
-                layer.style.backgroundSize = '150px, 100px';
-                layer.style.opacity = '0.7';
-                break;
-                
-            case 4: // Planets
-                layer.style.backgroundImage = `
-                    url('${CONFIG.PATHS.BACKGROUND.PLANET_BIG}'),
-                    url('${CONFIG.PATHS.BACKGROUND.PLANET_SMALL}')
-                `;
-                layer.style.backgroundRepeat = 'no-repeat';
-                layer.style.backgroundPosition = '10% 80%, 90% 20%';
-                layer.style.backgroundSize = '200px, 120px';
-                layer.style.opacity = '0.8';
-                break;
-                
-            case 5: // Facility
-                layer.style.background = `
-                    linear-gradient(45deg, transparent 70%, rgba(0, 255, 255, 0.2) 100%),
-                    radial-gradient(ellipse at bottom, #001133 0%, transparent 70%)
-                `;
-                layer.style.opacity = '0.9';
-                break;
-                
-            case 6: // Anomaly
-                layer.style.background = `
-                    radial-gradient(circle at center, rgba(139, 0, 255, 0.4) 0%, transparent 70%),
-                    conic-gradient(from 0deg at 50% 50%, 
-                        rgba(139, 0, 255, 0.2), 
-                        rgba(0, 255, 255, 0.2), 
-                        rgba(139, 0, 255, 0.2))
-                `;
-                layer.style.mixBlendMode = 'screen';
-                break;
-                
-            default:
-                layer.style.background = baseColor;
-        }
-        
-        // Add fallback background color
-        layer.style.backgroundColor = baseColor;
-    }
-
-    setupEventListeners() {
-        // Mouse movement for parallax
-        document.addEventListener('mousemove', (e) => {
-            this.mouseX = e.clientX / window.innerWidth;
-            this.mouseY = e.clientY / window.innerHeight;
-        });
-
-        // Touch movement for mobile
-        document.addEventListener('touchmove', (e) => {
-            if (e.touches.length > 0) {
-                this.mouseX = e.touches[0].clientX / window.innerWidth;
-                this.mouseY = e.touches[0].clientY / window.innerHeight;
-                e.preventDefault();
-            }
-        }, { passive: false });
-
-        // Device orientation for mobile
-        if (window.DeviceOrientationEvent) {
-            window.addEventListener('deviceorientation', (e) => {
-                if (e.gamma && e.beta) {
-                    this.mouseX = (e.gamma + 90) / 180;
-                    this.mouseY = (e.beta + 90) / 180;
-                }
-            });
-        }
-    }
-
-    update(deltaTime) {
-        if (!this.initialized) return;
-
-        this.layers.forEach(layer => {
-            const depth = parseFloat(layer.dataset.depth) || 0.5;
-            const intensity = depth * this.parallaxIntensity;
-            
-            const xMove = (this.mouseX - 0.5) * intensity;
-            const yMove = (this.mouseY - 0.5) * intensity;
-            
-            layer.style.transform = `translate(${xMove}px, ${yMove}px)`;
-        });
-    }
-
-    render() {
-        // Additional rendering logic if needed
-    }
-
-    registerLayer(className, depth) {
-        const layer = document.querySelector(`.${className}`);
-        if (layer) {
-            layer.setAttribute('data-depth', depth);
-            if (!this.layers.includes(layer)) {
-                this.layers.push(layer);
-            }
-        }
-    }
-
-    setParallaxIntensity(intensity) {
-        this.parallaxIntensity = Utils.clamp(intensity, 0, 100);
-        console.log(`🎯 Parallax intensity set to: ${this.parallaxIntensity}`);
-    }
-
-    getLayerInfo() {
-        return this.layers.map(layer => ({
-            className: layer.className,
-            depth: parseFloat(layer.dataset.depth) || 0.5,
-            visible: layer.style.display !== 'none'
-        }));
-    }
-}
-
-window.PARALLAX_SYSTEM = new ParallaxSystem();
-console.log('✅ Parallax system loaded with enhanced backgrounds');
\ No newline at end of file
+// Parallax background system with multiple layers
+class ParallaxSystem {
+    constructor() {
+        this.layers = [];
+        this.mouseX = 0.5;
+        this.mouseY = 0.5;
+        this.parallaxIntensity = CONFIG.GAME.PARALLAX_INTENSITY;
+        this.initialized = false;
+        this.layerBudget = Infinity;
+
+        // Offsets at the last two ticks, render() blends between them
+        this.previousOffset = { x: 0, y: 0 };
+        this.currentOffset = { x: 0, y: 0 };
+    }
+
+    async init() {
+        LOGGER.info('parallax', '🌌 Initializing parallax system...');
+        
+        // Wait for DOM to be ready
+        if (!document.getElementById('game-container')) {
+            LOGGER.error('parallax', '❌ Game container not found');
+            return;
+        }
+
+        this.layers = Array.from(document.querySelectorAll('.parallax-layer'));
+        
+        if (this.layers.length === 0) {
+            LOGGER.warn('parallax', '⚠️ No parallax layers found in DOM, creating fallback layers');
+            this.createFallbackLayers();
+        }
+        
+        this.parallaxIntensity = SETTINGS_STORE.get('parallaxIntensity');
+        await this.setupBackgrounds();
+        this.setupEventListeners();
+        
+        // Register with game loop
+        GAME_LOOP.registerSystem('parallax', this);
+        
+        this.initialized = true;
+        LOGGER.info('parallax', `✅ Parallax system ready with ${this.layers.length} layers`);
+    }
+
+    createFallbackLayers() {
+        const gameContainer = document.getElementById('game-container');
+        if (!gameContainer) return;
+
+        const layerData = [
+            { class: 'layer-back', depth: 0.1, color: Utils.themeShade(7) },
+            { class: 'layer-mid', depth: 0.3, color: Utils.themeShade(18) },
+            { class: 'layer-front', depth: 0.6, color: Utils.themeShade(30) },
+            { class: 'layer-asteroids', depth: 0.7, color: Utils.themeShade(38) },
+            { class: 'layer-planets', depth: 0.8, color: Utils.themeShade(50) },
+            { class: 'layer-facility', depth: 0.9, color: Utils.themeShade(58) },
+            { class: 'layer-anomaly', depth: 1.0, color: 'var(--color-anomaly-purple)' }
+        ];
+
+        layerData.forEach(layer => {
+            const div = document.createElement('div');
+            div.className = `parallax-layer ${layer.class}`;
+            div.setAttribute('data-depth', layer.depth);
+            div.style.background = layer.color;
+            div.style.position = 'absolute';
+            div.style.top = '0';
+            div.style.left = '0';
+            div.style.width = '100%';
+            div.style.height = '100%';
+            gameContainer.appendChild(div);
+        });
+
+        this.layers = Array.from(document.querySelectorAll('.parallax-layer'));
+    }
+
+    async setupBackgrounds() {
+        LOGGER.info('parallax', '🎨 Setting up parallax backgrounds...');
+        
+        // Preload background images
+        const backgroundImages = Object.values(ASSET_MANIFEST.getBackgrounds());
+
+        const imageResults = await ASSET_LOADER.loadImages(backgroundImages);
+        
+        // Set up each layer with proper backgrounds
+        this.layers.forEach((layer, index) => {
+            const depth = this.readDepth(layer);
+            this.setupLayerBackground(layer, index, depth, imageResults);
+        });
+    }
+
+    // Colors reference theme CSS variables so a theme switch restyles layers without a rebuild
+    setupLayerBackground(layer, index, depth, imageResults) {
+        // Deeper layers sit closer to the theme's deep-space color
+        const baseColor = Utils.themeShade(8 + index * 6);
+        
+        switch(index) {
+            case 0: // Deep space
+                layer.style.background = `
+                    ${baseColor},
+                    url('${this.getBackgroundURL('SPACE')}')
+                `;
+                layer.style.backgroundBlendMode = 'overlay';
+                layer.style.backgroundSize = 'cover';
+                break;
+                
+            case 1: // Stars
+                layer.style.background = `
+                    ${baseColor},
+                    url('${this.getBackgroundURL('STARS')}')
+                `;
+                layer.style.backgroundBlendMode = 'screen';
+                layer.style.backgroundSize = 'cover';
+                layer.style.opacity = '0.8';
+                break;
+                
+            case 2: // Dense stars
+                layer.style.background = `
+                    ${baseColor},
+                    url('${this.getBackgroundURL('STARS_DENSE')}')
+                `;
+                layer.style.backgroundBlendMode = 'overlay';
+                layer.style.backgroundSize = 'cover';
+                layer.style.opacity = '0.6';
+                break;
+                
+            case 3: // Asteroids
+                layer.style.backgroundImage = `
+                    url('${this.getBackgroundURL('ASTEROID_1')}'),
+                    url('${this.getBackgroundURL('ASTEROID_2')}')
+                `;
+                layer.style.backgroundRepeat = 'no-repeat';
+                layer.style.backgroundPosition = '20% 30%, 80% 70%';
+                layer.style.backgroundSize = '150px, 100px';
+                layer.style.opacity = '0.7';
+                break;
+                
+            case 4: // Planets
+                layer.style.backgroundImage = `
+                    url('${this.getBackgroundURL('PLANET_BIG')}'),
+                    url('${this.getBackgroundURL('PLANET_SMALL')}')
+                `;
+                layer.style.backgroundRepeat = 'no-repeat';
+                layer.style.backgroundPosition = '10% 80%, 90% 20%';
+                layer.style.backgroundSize = '200px, 120px';
+                layer.style.opacity = '0.8';
+                break;
+                
+            case 5: // Facility
+                layer.style.background = `
+                    linear-gradient(45deg, transparent 70%, rgba(var(--color-energy-cyan-rgb), 0.2) 100%),
+                    radial-gradient(ellipse at bottom, color-mix(in srgb, var(--color-signal-blue) 14%, var(--color-deep-space)) 0%, transparent 70%)
+                `;
+                layer.style.opacity = '0.9';
+                break;
+                
+            case 6: // Anomaly
+                layer.style.background = `
+                    radial-gradient(circle at center, rgba(var(--color-anomaly-purple-rgb), 0.4) 0%, transparent 70%),
+                    conic-gradient(from 0deg at 50% 50%, 
+                        rgba(var(--color-anomaly-purple-rgb), 0.2), 
+                        rgba(var(--color-energy-cyan-rgb), 0.2), 
+                        rgba(var(--color-anomaly-purple-rgb), 0.2))
+                `;
+                layer.style.mixBlendMode = 'screen';
+                break;
+                
+            default:
+                layer.style.background = baseColor;
+        }
+        
+        // Add fallback background color
+        layer.style.backgroundColor = baseColor;
+    }
+
+    getBackgroundURL(key) {
+        return ASSET_LOADER.getURL(ASSET_MANIFEST.getBackground(key));
+    }
+
+    // Canvas counterpart of setupLayerBackground; positions are fractions of the buffer, scales whole multiples
+    getLayerArt(index) {
+        const shade = 8 + index * 6;
+
+        switch(index) {
+            case 0: return { shade, cover: 'SPACE', blend: 'overlay' };
+            case 1: return { shade, cover: 'STARS', blend: 'screen', opacity: 0.8 };
+            case 2: return { shade, cover: 'STARS_DENSE', blend: 'overlay', opacity: 0.6 };
+            case 3: return {
+                opacity: 0.7,
+                sprites: [
+                    { key: 'ASTEROID_1', x: 0.2, y: 0.3, scale: 2 },
+                    { key: 'ASTEROID_2', x: 0.8, y: 0.7, scale: 2 }
+                ]
+            };
+            case 4: return {
+                opacity: 0.8,
+                sprites: [
+                    { key: 'PLANET_BIG', x: 0.1, y: 0.8, scale: 2 },
+                    { key: 'PLANET_SMALL', x: 0.9, y: 0.2, scale: 3 }
+                ]
+            };
+            default: return { shade, opacity: index === 6 ? 0.3 : 0.9 };
+        }
+    }
+
+    // Interpolated offsets for the layers the quality budget still shows, farthest first
+    getRenderLayers(alpha) {
+        const offsetX = Utils.lerp(this.previousOffset.x, this.currentOffset.x, alpha);
+        const offsetY = Utils.lerp(this.previousOffset.y, this.currentOffset.y, alpha);
+
+        return this.layers
+            .map((layer, index) => ({ layer, index, depth: this.readDepth(layer) }))
+            .filter(({ layer }) => layer.style.display !== 'none')
+            .sort((a, b) => a.depth - b.depth)
+            .map(({ index, depth }) => ({
+                depth,
+                offsetX: offsetX * depth,
+                offsetY: offsetY * depth,
+                art: this.getLayerArt(index)
+            }));
+    }
+
+    setupEventListeners() {
+        // Mouse movement for parallax
+        document.addEventListener('mousemove', (e) => {
+            this.setPointer(COORDINATE_MAPPER.fromEvent(e));
+        });
+
+        // Touch movement for mobile
+        document.addEventListener('touchmove', (e) => {
+            if (e.touches.length > 0) {
+                this.setPointer(COORDINATE_MAPPER.fromEvent(e));
+                e.preventDefault();
+            }
+        }, { passive: false });
+
+        // Device orientation for mobile
+        if (window.DeviceOrientationEvent) {
+            window.addEventListener('deviceorientation', (e) => {
+                if (e.gamma && e.beta) {
+                    this.mouseX = (e.gamma + 90) / 180;
+                    this.mouseY = (e.beta + 90) / 180;
+                }
+            });
+        }
+    }
+
+    // Letterbox bars pin the scene at its edge instead of over-shooting
+    setPointer({ nx, ny }) {
+        this.mouseX = Utils.clamp(nx, 0, 1);
+        this.mouseY = Utils.clamp(ny, 0, 1);
+    }
+
+    update(deltaTime) {
+        if (!this.initialized) return;
+
+        this.previousOffset = this.currentOffset;
+        this.currentOffset = {
+            x: (this.mouseX - 0.5) * this.parallaxIntensity,
+            y: (this.mouseY - 0.5) * this.parallaxIntensity
+        };
+    }
+
+    render(alpha) {
+        if (!this.initialized) return;
+
+        const offsetX = Utils.lerp(this.previousOffset.x, this.currentOffset.x, alpha);
+        const offsetY = Utils.lerp(this.previousOffset.y, this.currentOffset.y, alpha);
+
+        this.layers.forEach(layer => {
+            const depth = this.readDepth(layer);
+            layer.style.transform = `translate(${offsetX * depth}px, ${offsetY * depth}px)`;
+        });
+    }
+
+    registerLayer(className, depth) {
+        const layer = document.querySelector(`.${className}`);
+        if (layer) {
+            layer.setAttribute('data-depth', depth);
+            if (!this.layers.includes(layer)) {
+                this.layers.push(layer);
+            }
+        }
+    }
+
+    // Quality governor override, hides the farthest layers beyond the budget
+    setLayerBudget(count) {
+        this.layerBudget = Math.max(0, count);
+
+        const byDepth = [...this.layers].sort((a, b) =>
+            this.readDepth(b) - this.readDepth(a));
+        byDepth.forEach((layer, index) => {
+            layer.style.display = index < this.layerBudget ? '' : 'none';
+        });
+
+        LOGGER.info('parallax', `🎯 Parallax layer budget: ${Math.min(this.layerBudget, this.layers.length)}/${this.layers.length}`);
+    }
+
+    setParallaxIntensity(intensity) {
+        this.parallaxIntensity = Utils.clamp(intensity, 0, 100);
+        SETTINGS_STORE.set('parallaxIntensity', this.parallaxIntensity);
+        LOGGER.info('parallax', `🎯 Parallax intensity set to: ${this.parallaxIntensity}`);
+    }
+
+    // Depth by layer class name; unknown layers count as the nearest plane
+    getLayerDepth(className) {
+        const layer = this.layers.find(other => other.classList.contains(className));
+        if (!layer) {
+            LOGGER.warn('parallax', `⚠️ Unknown parallax layer: ${className}`);
+            return 1;
+        }
+        return this.readDepth(layer);
+    }
+
+    // data-depth of a layer element; 0 is a valid depth, only missing or malformed values default
+    readDepth(layer) {
+        const depth = parseFloat(layer.dataset.depth);
+        return Number.isFinite(depth) ? depth : 0.5;
+    }
+
+    getLayerInfo() {
+        return this.layers.map(layer => ({
+            className: layer.className,
+            depth: this.readDepth(layer),
+            visible: layer.style.display !== 'none'
+        }));
+    }
+}
+
+window.PARALLAX_SYSTEM = new ParallaxSystem();
+SYSTEM_REGISTRY.register('parallax', window.PARALLAX_SYSTEM, { dependencies: ['gameLoop', 'pixelScaling', 'settings', 'coordinates'] });
+LOGGER.info('parallax', '✅ Parallax system loaded with enhanced backgrounds');
\ No newline at end of file